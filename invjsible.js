@@ -1,12 +1,19 @@
 #!/usr/bin/env node
 
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
+const readline = require('readline');
 const zlib = require('zlib');
+const stream = require('stream');
+const { StringDecoder } = require('string_decoder');
+const url = require('url');
 const { promisify } = require('util');
 
 const brotliCompress = promisify(zlib.brotliCompress);
 const brotliDecompress = promisify(zlib.brotliDecompress);
+const scrypt = promisify(crypto.scrypt);
+const pipeline = promisify(stream.pipeline);
 
 // ==================== INVISIBLE CHARACTERS ====================
 
@@ -19,6 +26,12 @@ const invisibleChars = {
   COMPRESS: '\u200D',  // ZWJ = Compressed before encoding
   // No marker = No compression
 
+  // Container marker (at file start, current format)
+  HEADER: '\u2060',    // Word Joiner = Versioned container header follows
+
+  // Block separator of error-corrected payloads (--ecc)
+  SYNC: '\u2063',      // Invisible Separator
+
   // Complete invisible characters dictionary (for analysis)
   dictionary: {
     ZWSP: { char: '\u200B', code: 8203, unicode: '\\u200B', name: 'Zero Width Space' },
@@ -41,10 +54,236 @@ const invisibleChars = {
     ALM: { char: '\u061C', code: 1564, unicode: '\\u061C', name: 'Arabic Letter Mark' },
     MVS: { char: '\u180E', code: 6158, unicode: '\\u180E', name: 'Mongolian Vowel Separator' },
     SHY: { char: '\u00AD', code: 173, unicode: '\\u00AD', name: 'Soft Hyphen' },
-    CGJ: { char: '\u034F', code: 847, unicode: '\\u034F', name: 'Combining Grapheme Joiner' }
+    CGJ: { char: '\u034F', code: 847, unicode: '\\u034F', name: 'Combining Grapheme Joiner' },
+    ISEP: { char: '\u2063', code: 8291, unicode: '\\u2063', name: 'Invisible Separator' }
+  },
+
+  // Code point ranges of invisible characters (for analysis)
+  ranges: [
+    { from: 0xFE00, to: 0xFE0F, group: 'Variation Selectors', nameOf: code => `Variation Selector-${code - 0xFE00 + 1}` },
+    { from: 0xE0100, to: 0xE01EF, group: 'Variation Selectors', nameOf: code => `Variation Selector-${code - 0xE0100 + 17}` },
+    {
+      from: 0xE0000,
+      to: 0xE007F,
+      group: 'Tag Characters',
+      nameOf: code => code === 0xE0001 ? 'Language Tag'
+        : code === 0xE007F ? 'Cancel Tag'
+          : `Tag ${JSON.stringify(String.fromCharCode(code - 0xE0000))}`
+    }
+  ]
+};
+
+// Describes an invisible code point ({ name, group, unicode }) or returns null
+function describeInvisible(codePoint) {
+  const charInfo = Object.values(invisibleChars.dictionary).find(c => c.code === codePoint);
+  if (charInfo) {
+    return { name: charInfo.name, group: charInfo.name, unicode: charInfo.unicode };
+  }
+
+  const range = invisibleChars.ranges.find(r => codePoint >= r.from && codePoint <= r.to);
+  if (range) {
+    const hex = codePoint.toString(16).toUpperCase().padStart(4, '0');
+    return {
+      name: range.nameOf(codePoint),
+      group: range.group,
+      unicode: codePoint > 0xFFFF ? `\\u{${hex}}` : `\\u${hex}`
+    };
+  }
+
+  const char = String.fromCodePoint(codePoint);
+  if (SCHEME_SYMBOLS.has(char)) {
+    const hex = codePoint.toString(16).toUpperCase().padStart(4, '0');
+    return {
+      name: `${SCHEME_SYMBOLS.get(char)} scheme symbol`,
+      group: `Scheme "${SCHEME_SYMBOLS.get(char)}" symbols`,
+      unicode: codePoint > 0xFFFF ? `\\u{${hex}}` : `\\u${hex}`
+    };
+  }
+  return null;
+}
+
+// Built-in alphabets from the dictionary: 2^n symbols carry n bits each.
+// Binary is the original ZWSP/ZWNJ encoding; denser alphabets are announced
+// by their selector character right after the container header marker.
+function defineAlphabet(selector, names) {
+  return {
+    selector: selector && invisibleChars.dictionary[selector].char,
+    symbols: names.map(name => invisibleChars.dictionary[name].char),
+    label: names.join(' ')
+  };
+}
+
+// One byte per variation selector: 0-15 → VS1-VS16 (U+FE00-FE0F),
+// 16-255 → VS17-VS256 (U+E0100-E01EF). These payloads have no header marker:
+// they start with the encoded "IJS" magic, so they can follow a visible
+// carrier character (e.g. an emoji) that chat apps keep them attached to.
+const VARIATION_SELECTORS = Array.from({ length: 256 }, (_, byte) =>
+  String.fromCodePoint(byte < 16 ? 0xFE00 + byte : 0xE0100 + byte - 16));
+
+// Unicode Tag block (U+E0000-E007F): tag characters mirror ASCII one-to-one.
+// ASCII text is written as LANGUAGE TAG + tags + CANCEL TAG; anything else
+// goes into a container whose bytes are written as hex digit tags.
+const TAGS = {
+  BASE: 0xE0000,
+  BEGIN: String.fromCodePoint(0xE0001),
+  CANCEL: String.fromCodePoint(0xE007F)
+};
+
+function toTag(code) {
+  return String.fromCodePoint(TAGS.BASE + code);
+}
+
+const ALPHABETS = {
+  binary: defineAlphabet(null, ['ZWSP', 'ZWNJ']),
+  base4: defineAlphabet('ZWJ', ['ZWSP', 'ZWNJ', 'ZWJ', 'ZWNBSP']),
+  base8: defineAlphabet('ZWNBSP', ['ZWSP', 'ZWNJ', 'ZWJ', 'ZWNBSP', 'LRM', 'RLM', 'ALM', 'MVS']),
+  base16: defineAlphabet('CGJ', ['ZWSP', 'ZWNJ', 'ZWJ', 'ZWNBSP', 'LRM', 'RLM', 'ALM', 'MVS',
+    'CGJ', 'SHY', 'PDI', 'PDF', 'LRI', 'RLI', 'FSI', 'LRE']),
+  variation: {
+    headerless: true,
+    symbols: VARIATION_SELECTORS,
+    label: 'VS1-VS256 (U+FE00-FE0F, U+E0100-E01EF)'
+  },
+  tags: {
+    headerless: true,
+    symbols: Array.from('0123456789abcdef', digit => toTag(digit.charCodeAt(0))),
+    label: 'hex digit tags (U+E0030-E0039, U+E0061-E0066); ASCII text as raw tags'
   }
 };
 
+// ==================== SCHEME REGISTRY ====================
+
+// A scheme writes container bytes as invisible text and reads them back:
+//   encode(buffer, options) → text that detect() can find again
+//   decode(text, options)   → Buffer; text starts where detect() pointed and
+//                             may continue with unrelated characters
+//   detect(text)            → index where the scheme's payload starts, or -1
+// Alphabet schemes give `symbols` (2, 4, ... 256 code points) instead, plus an
+// optional `selector` or `headerless: true`, and get all three derived. Only
+// alphabet schemes work with runnable files and encodeToInvisible().
+const SCHEMES = new Map();
+
+// Scheme symbols the dictionary does not know, so analyze/clean still see them
+const SCHEME_SYMBOLS = new Map();
+
+function codePointLabel(char) {
+  return `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+}
+
+function alphabetScheme(name, definition) {
+  const { selector = null, headerless = false } = definition;
+  const symbols = Array.from(definition.symbols);
+  const bits = Math.log2(symbols.length);
+  const marker = headerless ? '' : invisibleChars.HEADER + (selector || '');
+
+  if (!Number.isInteger(bits) || bits < 1 || bits > 8) {
+    throw new Error(`Scheme "${name}" needs 2, 4, 8, 16, 32, 64, 128 or 256 symbols (got ${symbols.length})`);
+  }
+  if (new Set(symbols).size !== symbols.length || symbols.some(symbol => Array.from(symbol).length !== 1)) {
+    throw new Error(`Scheme "${name}" symbols must be distinct single code points`);
+  }
+  if (symbols.includes(invisibleChars.HEADER)) {
+    throw new Error(`Scheme "${name}" cannot use the header marker (U+2060) as a symbol`);
+  }
+  if (!headerless) {
+    if (selector === invisibleChars.ZERO || selector === invisibleChars.ONE) {
+      throw new Error(`Scheme "${name}" selector would be read as binary data`);
+    }
+    const owner = [...SCHEMES.values()].find(scheme => scheme.marker === marker);
+    if (owner) {
+      throw new Error(`Scheme "${name}" needs a selector not used by "${owner.name}"`);
+    }
+  }
+
+  return {
+    name,
+    bits,
+    selector,
+    headerless,
+    symbols,
+    marker,
+    label: definition.label || symbols.map(codePointLabel).join(' '),
+    encode: (buffer, options = {}) => marker + encodeToInvisible(buffer, name, options),
+    decode: (text, options = {}) => {
+      const { strict = true, key = null } = options;
+      const { buffer, strayBits } = decodeSymbols(text.startsWith(marker) ? text.slice(marker.length) : text, name, { key });
+      // Fewer stray bits than one character holds are padding (e.g. base-8)
+      if (strict && strayBits >= bits) {
+        throw new Error(`Payload damaged: ${strayBits} stray bits (an invisible character was dropped or duplicated)`);
+      }
+      return buffer;
+    },
+    detect: text => {
+      // Headerless payloads are recognised by the encoded "IJS" magic
+      if (headerless) return text.indexOf(encodeToInvisible(CONTAINER.MAGIC, name));
+      let index = text.indexOf(marker);
+      while (index !== -1) {
+        const next = text.codePointAt(index + marker.length);
+        if (next !== undefined && symbols.includes(String.fromCodePoint(next))) return index;
+        index = text.indexOf(marker, index + 1);
+      }
+      return -1;
+    }
+  };
+}
+
+function registerScheme(definition) {
+  const { name } = definition || {};
+
+  if (typeof name !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(name)) {
+    throw new Error('Scheme names must be letters, digits, dashes or underscores');
+  }
+  if (SCHEMES.has(name)) {
+    throw new Error(`Scheme "${name}" is already registered`);
+  }
+
+  let scheme;
+  if (definition.symbols) {
+    scheme = alphabetScheme(name, definition);
+  } else {
+    for (const method of ['encode', 'decode', 'detect']) {
+      if (typeof definition[method] !== 'function') {
+        throw new Error(`Scheme "${name}" needs ${method}() or a symbols alphabet`);
+      }
+    }
+    scheme = {
+      name,
+      bits: null,
+      symbols: null,
+      label: definition.label || 'custom encode/decode',
+      encode: definition.encode,
+      decode: definition.decode,
+      detect: definition.detect
+    };
+  }
+
+  for (const symbol of [...(scheme.symbols || []), ...(scheme.selector ? [scheme.selector] : [])]) {
+    if (!describeInvisible(symbol.codePointAt(0)) && !SCHEME_SYMBOLS.has(symbol)) {
+      SCHEME_SYMBOLS.set(symbol, name);
+    }
+  }
+
+  SCHEMES.set(name, Object.freeze(scheme));
+  return SCHEMES.get(name);
+}
+
+function getScheme(name) {
+  if (!SCHEMES.has(name)) {
+    throw new Error(`Unknown scheme "${name}" (use ${[...SCHEMES.keys()].join(', ')})`);
+  }
+  return SCHEMES.get(name);
+}
+
+function getAlphabet(name) {
+  const scheme = getScheme(name);
+  if (!scheme.symbols) {
+    throw new Error(`Scheme "${name}" has no symbol alphabet`);
+  }
+  return scheme;
+}
+
+Object.entries(ALPHABETS).forEach(([name, definition]) => registerScheme({ name, ...definition }));
+
 // Maximum Brotli compression options
 const BROTLI_OPTIONS = {
   params: {
@@ -54,21 +293,163 @@ const BROTLI_OPTIONS = {
   }
 };
 
+// ==================== KEYED ALPHABETS ====================
+
+// With a shared key the symbol written for each bit pattern and the order of
+// the symbols are both shuffled: an HMAC-SHA256 of the key seeds an AES-CTR
+// keystream that drives Fisher-Yates shuffles. The output uses the same
+// characters but decodes to noise without the key. This hides a payload from
+// the default decoder; it does not replace --password or --recipient.
+function checkKey(key) {
+  if ((typeof key !== 'string' && !Buffer.isBuffer(key)) || key.length === 0) {
+    throw new Error('The key must be a non-empty string');
+  }
+}
+
+// Returns random(limit) → uniform integer in [0, limit)
+function keyedRandom(key, purpose, scheme) {
+  const seed = crypto.createHmac('sha256', key)
+    .update(`invjsible keyed v1\0${purpose}\0${scheme}`)
+    .digest();
+  const stream = crypto.createCipheriv('aes-256-ctr', seed, Buffer.alloc(16));
+  let pool = Buffer.alloc(0);
+  let offset = 0;
+
+  return limit => {
+    // Rejection sampling keeps every value equally likely
+    const bound = 0x100000000 - (0x100000000 % limit);
+    for (;;) {
+      if (offset === pool.length) {
+        pool = stream.update(Buffer.alloc(4096));
+        offset = 0;
+      }
+      const value = pool.readUInt32BE(offset);
+      offset += 4;
+      if (value < bound) return value % limit;
+    }
+  };
+}
+
+function keyedShuffle(length, random) {
+  const order = new Uint32Array(length);
+  for (let i = 0; i < length; i++) order[i] = i;
+  for (let i = length - 1; i > 0; i--) {
+    const j = random(i + 1);
+    const swap = order[i];
+    order[i] = order[j];
+    order[j] = swap;
+  }
+  return order;
+}
+
+// Value v is written as keyedSymbols(...)[v]
+function keyedSymbols(key, scheme) {
+  const { symbols } = getAlphabet(scheme);
+  return Array.from(keyedShuffle(symbols.length, keyedRandom(key, 'alphabet', scheme)), index => symbols[index]);
+}
+
+// Character i of the output carries value order[i] of the plain stream
+function keyedOrder(key, scheme, length) {
+  return keyedShuffle(length, keyedRandom(key, 'positions', scheme));
+}
+
 // ==================== ENCODING FUNCTIONS ====================
 
-function encodeToInvisible(buffer) {
-  let result = '';
+function checkCarrier(carrier, scheme) {
+  if (!getScheme(scheme).headerless) {
+    throw new Error('A carrier character needs a scheme without header marker, e.g. --scheme variation');
+  }
+  if (typeof carrier !== 'string' || carrier.length === 0 || removeInvisibles(carrier) !== carrier) {
+    throw new Error('The carrier must be visible text, e.g. an emoji');
+  }
+}
+
+// Writes bytes with the symbols of an alphabet scheme (no header marker).
+// Options: carrier - visible text the payload follows (headerless schemes)
+//          key     - shared secret that shuffles symbols and positions
+function encodeToInvisible(buffer, scheme = 'binary', options = {}) {
+  const { carrier = null, key = null } = options;
+  const { bits, symbols } = getAlphabet(scheme);
+  if (carrier !== null) checkCarrier(carrier, scheme);
+  if (key !== null) checkKey(key);
+  const mask = (1 << bits) - 1;
+  const values = new Uint8Array(Math.ceil(buffer.length * 8 / bits));
+  let count = 0;
+  let acc = 0;
+  let accBits = 0;
+
   for (let i = 0; i < buffer.length; i++) {
-    const byte = buffer[i];
-    const binary = byte.toString(2).padStart(8, '0');
-    for (const bit of binary) {
-      result += bit === '0' ? invisibleChars.ZERO : invisibleChars.ONE;
+    acc = (acc << 8) | buffer[i];
+    accBits += 8;
+    while (accBits >= bits) {
+      accBits -= bits;
+      values[count++] = (acc >> accBits) & mask;
     }
+    acc &= (1 << accBits) - 1;
+  }
+
+  // Base-8 does not divide a byte evenly: pad the last character with zero bits
+  if (accBits > 0) {
+    values[count++] = (acc << (bits - accBits)) & mask;
+  }
+
+  const alphabet = key === null ? symbols : keyedSymbols(key, scheme);
+  const order = key === null ? null : keyedOrder(key, scheme, count);
+  let result = carrier || '';
+  for (let i = 0; i < count; i++) {
+    result += alphabet[values[order ? order[i] : i]];
   }
   return result;
 }
 
-function decodeFromInvisible(encoded) {
+// Reads every symbol of an alphabet scheme in `text` (anything else is ignored)
+// back into bytes; strayBits counts the bits left over after the last full byte
+function decodeSymbols(text, scheme = 'binary', options = {}) {
+  const { key = null } = options;
+  const { bits, symbols } = getAlphabet(scheme);
+  if (key !== null) checkKey(key);
+  const alphabet = key === null ? symbols : keyedSymbols(key, scheme);
+  const lookup = new Map(alphabet.map((symbol, index) => [symbol, index]));
+
+  let values = new Uint8Array(text.length);
+  let count = 0;
+  for (const char of text) {
+    const value = lookup.get(char);
+    if (value !== undefined) values[count++] = value;
+  }
+  values = values.subarray(0, count);
+
+  // Put keyed symbols back in stream order
+  if (key !== null) {
+    const order = keyedOrder(key, scheme, count);
+    const ordered = new Uint8Array(count);
+    for (let i = 0; i < count; i++) ordered[order[i]] = values[i];
+    values = ordered;
+  }
+
+  const bytes = Buffer.alloc(Math.floor(count * bits / 8));
+  let length = 0;
+  let acc = 0;
+  let accBits = 0;
+
+  for (const value of values) {
+    acc = (acc << bits) | value;
+    accBits += bits;
+    if (accBits >= 8) {
+      accBits -= 8;
+      bytes[length++] = (acc >> accBits) & 0xFF;
+      acc &= (1 << accBits) - 1;
+    }
+  }
+
+  return { buffer: bytes.subarray(0, length), strayBits: accBits };
+}
+
+function decodeFromInvisible(encoded, scheme = 'binary', options = {}) {
+  if (scheme !== 'binary' || options.key) {
+    return { buffer: decodeSymbols(encoded, scheme, options).buffer, isCompressed: false };
+  }
+
   // Check and remove compression marker if exists
   let isCompressed = false;
   let cleanEncoded = encoded;
@@ -94,6 +475,50 @@ function decodeFromInvisible(encoded) {
   return { buffer: Buffer.from(bytes), isCompressed };
 }
 
+// ==================== TAG TEXT ====================
+
+// Tab, newline, carriage return and printable ASCII fit in single tags
+function isTagText(buffer) {
+  return buffer.every(byte => byte === 0x09 || byte === 0x0A || byte === 0x0D || (byte >= 0x20 && byte <= 0x7E));
+}
+
+function encodeTagText(buffer) {
+  let result = TAGS.BEGIN;
+  for (const byte of buffer) {
+    result += toTag(byte);
+  }
+  return result + TAGS.CANCEL;
+}
+
+// Maximal runs of tag characters with their ASCII reading. Emoji subdivision
+// flags (U+1F3F4 + lowercase tags + CANCEL TAG, e.g. England) are marked so
+// they are not mistaken for hidden text.
+function findTagRuns(text) {
+  const runs = [];
+  const pattern = /[\u{E0000}-\u{E007F}]+/gu;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const ascii = Array.from(match[0], char => char.codePointAt(0) - TAGS.BASE)
+      .filter(code => code !== 0x01 && code !== 0x7F)
+      .map(code => String.fromCharCode(code))
+      .join('');
+    const emojiFlag = match.index >= 2 && text.codePointAt(match.index - 2) === 0x1F3F4 &&
+      /^[a-z0-9]+$/.test(ascii) && match[0].endsWith(TAGS.CANCEL);
+
+    runs.push({ index: match.index, text: ascii, marked: match[0].startsWith(TAGS.BEGIN), emojiFlag });
+  }
+  return runs;
+}
+
+// Hidden tag text of a document: the first LANGUAGE TAG run, else the first
+// run that is not an emoji flag; null if there is none
+function decodeTagText(text) {
+  const runs = findTagRuns(text).filter(run => !run.emojiFlag);
+  const run = runs.find(r => r.marked) || runs[0];
+  return run ? run.text : null;
+}
+
 // ==================== COMPRESSION FUNCTIONS ====================
 
 async function compressBuffer(buffer) {
@@ -104,308 +529,4434 @@ async function decompressBuffer(buffer) {
   return await brotliDecompress(buffer);
 }
 
-// ==================== ANALYSIS FUNCTIONS ====================
+// ==================== CONTAINER FORMAT ====================
+
+// Container layout (integers are big-endian):
+//   magic "IJS" (3) | version (1) | flags (1) | payload length (4) | fields length (2) | fields | payload
+// Fields are TLV entries: type (1) | length (2) | value. Decoders skip unknown
+// types, so new metadata can be added without breaking older readers.
+// Streamed containers (version 2, see STREAMING) replace the payload with
+// length-prefixed records, so they can be written before the size is known.
+const CONTAINER = {
+  MAGIC: Buffer.from('IJS', 'ascii'),
+  VERSION: 1,
+  STREAM_VERSION: 2,
+  FIXED_SIZE: 11,
+  FLAGS: {
+    COMPRESSED: 0x01,
+    ENCRYPTED: 0x02,
+    STREAMED: 0x04
+  },
+  FIELDS: {
+    FILENAME: 0x01,
+    CHECKSUM: 0x02,
+    BLOCK_CRC: 0x03,
+    ENCRYPTION: 0x04,
+    SIGNATURE: 0x05,
+    FRAGMENT: 0x06,
+    SHARE: 0x07
+  }
+};
 
-function analyzeInvisibles(text) {
-  const result = {
-    length: text.length,
-    hasInvisibles: false,
-    invisibleCount: 0,
-    found: [],
-    positions: []
-  };
+function containerFlags(meta = {}) {
+  let flags = 0;
+  if (meta.compressed) flags |= CONTAINER.FLAGS.COMPRESSED;
+  if (meta.encrypted) flags |= CONTAINER.FLAGS.ENCRYPTED;
+  if (meta.streamed) flags |= CONTAINER.FLAGS.STREAMED;
+  return flags;
+}
 
-  for (let i = 0; i < text.length; i++) {
-    const charCode = text.charCodeAt(i);
-    const charInfo = Object.values(invisibleChars.dictionary).find(c => c.code === charCode);
-    if (charInfo) {
-      result.hasInvisibles = true;
-      result.invisibleCount++;
-      result.positions.push({
-        position: i,
-        char: charInfo.name,
-        unicode: charInfo.unicode
-      });
-      if (!result.found.includes(charInfo.name)) {
-        result.found.push(charInfo.name);
-      }
+function buildContainer(payload, meta = {}) {
+  const { compressed = false, encrypted = false, streamed = false, fileName = null, fields = [] } = meta;
+
+  const entries = [];
+  if (fileName) {
+    entries.push([CONTAINER.FIELDS.FILENAME, Buffer.from(fileName, 'utf8')]);
+  }
+  entries.push(...fields);
+
+  const fieldBuffers = entries.map(([type, value]) => {
+    if (value.length > 0xFFFF) {
+      throw new Error(`Container field 0x${type.toString(16)} is too large (${value.length} bytes)`);
     }
+    const tlv = Buffer.alloc(3);
+    tlv.writeUInt8(type, 0);
+    tlv.writeUInt16BE(value.length, 1);
+    return Buffer.concat([tlv, value]);
+  });
+  const fieldsBuffer = Buffer.concat(fieldBuffers);
+
+  if (fieldsBuffer.length > 0xFFFF) {
+    throw new Error(`Container header is too large (${fieldsBuffer.length} bytes)`);
   }
 
-  return result;
-}
+  const flags = containerFlags({ compressed, encrypted, streamed });
 
-function removeInvisibles(text) {
-  return text.replace(/[\u00AD\u034F\u061C\u070F\u115F\u1160\u17B4\u17B5\u180B-\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u206F\u3164\uFE00-\uFE0F\uFEFF\uFFA0\uFFF9-\uFFFC\u00A0\u1680\u2000-\u200A\u202F\u205F\u3000]/g, '');
+  const fixed = Buffer.alloc(CONTAINER.FIXED_SIZE);
+  CONTAINER.MAGIC.copy(fixed, 0);
+  fixed.writeUInt8(streamed ? CONTAINER.STREAM_VERSION : CONTAINER.VERSION, 3);
+  fixed.writeUInt8(flags, 4);
+  fixed.writeUInt32BE(payload.length, 5);
+  fixed.writeUInt16BE(fieldsBuffer.length, 9);
+
+  return Buffer.concat([fixed, fieldsBuffer, payload]);
 }
 
-// ==================== RUNNABLE FILE TEMPLATE ====================
+function parseContainer(buffer, options = {}) {
+  const { strict = true } = options;
 
-function generateRunnableTemplate(encodedContent, originalFileName) {
-  return `#!/usr/bin/env node
-// Self-extracting executable generated by invjsible
-const fs=require('fs'),p=require('path'),z=require('zlib'),{promisify:u}=require('util'),{execSync:e,spawn:s}=require('child_process'),o=require('os'),b=u(z.brotliDecompress),c={Z:'​',O:'‌',C:'‍'};async function x(){try{const n=\`${encodedContent}\`,g=t=>{let r=[],i=0;for(;i<t.length;i+=8){let a='';for(let j=0;j<8&&i+j<t.length;j++)a+=t[i+j]===c.Z?'0':'1';a.length===8&&r.push(parseInt(a,2))}return Buffer.from(r)},d=n[0]===c.C?await b(g(n.slice(1))):g(n),t=p.extname('${originalFileName}').toLowerCase(),f=p.join(o.tmpdir(),\`i\${Date.now()}\${t}\`);fs.writeFileSync(f,d);try{if(t==='.js'||t==='.mjs')require(f);else if(t==='.sh'||t==='.bash')e(\`bash "\${f}"\`,{stdio:'inherit'});else if(t==='.py')e(\`python3 "\${f}"\`,{stdio:'inherit'});else if(t==='.rb')e(\`ruby "\${f}"\`,{stdio:'inherit'});else if(!t||t==='.txt')console.log(d.toString('utf8'));else{fs.chmodSync(f,'755');return void s(f,process.argv.slice(2),{stdio:'inherit'}).on('exit',c=>(fs.unlinkSync(f),process.exit(c)))}fs.unlinkSync(f)}catch(r){fs.unlinkSync(f),console.error('Execution error:',r.message),process.exit(1)}}catch(r){console.error('Extraction error:',r.message),process.exit(1)}}x();`;
-}
+  if (buffer.length < CONTAINER.FIXED_SIZE || !buffer.subarray(0, 3).equals(CONTAINER.MAGIC)) {
+    throw new Error('Not an invjsible container (bad magic signature)');
+  }
 
-// ==================== ENCODE ====================
+  const version = buffer.readUInt8(3);
+  if (version > CONTAINER.STREAM_VERSION) {
+    throw new Error(`Unsupported container version ${version} (this build reads up to ${CONTAINER.STREAM_VERSION})`);
+  }
 
-async function encode(inputFile, outputFile, options = {}) {
-  const { compress = false, verbose = false, runable = false } = options;
+  const flags = buffer.readUInt8(4);
+  const payloadLength = buffer.readUInt32BE(5);
+  const fieldsLength = buffer.readUInt16BE(9);
+  const payloadStart = CONTAINER.FIXED_SIZE + fieldsLength;
 
-  if (!outputFile) {
-    outputFile = inputFile + '.encoded';
+  if (buffer.length < payloadStart) {
+    throw new Error(`Container header truncated: expected ${payloadStart} bytes, found ${buffer.length}`);
   }
 
-  if (verbose) {
-    console.log('\n╔════════════════════════════════════════════════════════════╗');
-    console.log('║           ENCODING TO INVISIBLE CHARACTERS                ║');
-    console.log('╚════════════════════════════════════════════════════════════╝\n');
+  const fields = new Map();
+  let offset = CONTAINER.FIXED_SIZE;
+  while (offset < payloadStart) {
+    if (offset + 3 > payloadStart) {
+      throw new Error(`Container field table is malformed at byte ${offset}`);
+    }
+    const type = buffer.readUInt8(offset);
+    const length = buffer.readUInt16BE(offset + 1);
+    const valueStart = offset + 3;
+    if (valueStart + length > payloadStart) {
+      throw new Error(`Container field 0x${type.toString(16)} overruns the header at byte ${offset}`);
+    }
+    fields.set(type, buffer.subarray(valueStart, valueStart + length));
+    offset = valueStart + length;
   }
 
-  // Read original file
-  const originalBuffer = fs.readFileSync(inputFile);
-  const originalSize = originalBuffer.length;
-  const originalFileName = path.basename(inputFile);
+  const fileName = fields.has(CONTAINER.FIELDS.FILENAME)
+    ? fields.get(CONTAINER.FIELDS.FILENAME).toString('utf8')
+    : null;
+
+  const streamed = (flags & CONTAINER.FLAGS.STREAMED) !== 0;
+  let payload = buffer.subarray(payloadStart, payloadStart + payloadLength);
+  if (streamed) {
+    const records = parseStreamRecords(buffer.subarray(payloadStart), { strict });
+    payload = records.payload;
+    // The header only names the checksum algorithm; the digest ends the stream
+    if (records.digest && fields.has(CONTAINER.FIELDS.CHECKSUM)) {
+      fields.set(CONTAINER.FIELDS.CHECKSUM, Buffer.concat([fields.get(CONTAINER.FIELDS.CHECKSUM).subarray(0, 1), records.digest]));
+    }
+  }
 
-  if (verbose) {
-    console.log(`📄 Original file: ${inputFile}`);
-    console.log(`📊 Original size: ${originalSize.toLocaleString()} bytes`);
-    if (runable) console.log(`🏃 Runnable mode: Enabled`);
-    console.log('');
+  const available = buffer.length - payloadStart;
+  if (strict && !streamed && available < payloadLength) {
+    throw new Error(`Payload truncated: expected ${payloadLength} bytes, found ${available}`);
+  }
+  if (strict && !streamed && available > payloadLength) {
+    throw new Error(`Payload has ${available - payloadLength} unexpected trailing bytes`);
   }
 
-  let finalContent;
-  let finalSize;
-  let methodUsed;
+  return {
+    version,
+    flags,
+    compressed: (flags & CONTAINER.FLAGS.COMPRESSED) !== 0,
+    encrypted: (flags & CONTAINER.FLAGS.ENCRYPTED) !== 0,
+    streamed,
+    fileName,
+    fields,
+    payload
+  };
+}
 
-  if (compress) {
-    // Calculate without compression
-    const encodedDirect = encodeToInvisible(originalBuffer);
-    const directSize = Buffer.from(encodedDirect, 'utf8').length;
+// Finds the first payload of any registered scheme: { index, scheme } or null
+function locateContainer(text) {
+  let found = null;
+  for (const scheme of SCHEMES.values()) {
+    const candidates = [[scheme.detect(text), false]];
+    if (scheme.symbols) candidates.push([findEccFrame(text, scheme), true]);
+    for (const [index, ecc] of candidates) {
+      if (index >= 0 && (!found || index < found.index)) {
+        found = { index, scheme, ecc };
+      }
+    }
+  }
+  return found;
+}
 
-    // Calculate with compression
-    const compressedBuffer = await compressBuffer(originalBuffer);
-    const encodedCompressed = encodeToInvisible(compressedBuffer);
-    const compressedSize = Buffer.from(encodedCompressed, 'utf8').length;
+// Keyed payloads keep the header marker but not a readable magic, so each
+// alphabet scheme present in the text is tried with the key until the magic
+// appears. Headerless keyed payloads start at their first symbol.
+function locateKeyedContainer(text, key) {
+  const candidates = [];
+  for (const scheme of SCHEMES.values()) {
+    if (!scheme.symbols) continue;
+    const index = scheme.headerless ? firstSymbolIndex(text, scheme.symbols) : scheme.detect(text);
+    if (index >= 0) candidates.push({ index, scheme });
+  }
 
-    if (verbose) {
-      console.log('🔹 Option 1: Encode directly');
-      console.log(`   Size: ${directSize.toLocaleString()} bytes`);
-      console.log(`   Ratio: ${((directSize / originalSize) * 100).toFixed(2)}% of original\n`);
+  candidates.sort((a, b) => a.index - b.index);
+  return candidates.find(({ index, scheme }) => {
+    const buffer = scheme.decode(text.slice(index), { strict: false, key });
+    return buffer.subarray(0, CONTAINER.MAGIC.length).equals(CONTAINER.MAGIC);
+  }) || null;
+}
 
-      console.log('🔹 Option 2: Compress then Encode');
-      console.log(`   1️⃣  Compression: ${originalSize.toLocaleString()} → ${compressedBuffer.length.toLocaleString()} bytes`);
-      console.log(`   2️⃣  Encoding: ${compressedBuffer.length.toLocaleString()} → ${compressedSize.toLocaleString()} bytes`);
-      console.log(`   Ratio: ${((compressedSize / originalSize) * 100).toFixed(2)}% of original\n`);
+function firstSymbolIndex(text, symbols) {
+  const set = new Set(symbols);
+  let index = 0;
+  for (const char of text) {
+    if (set.has(char)) return index;
+    index += char.length;
+  }
+  return -1;
+}
 
-      console.log('╔════════════════════════════════════════════════════════════╗');
-      console.log('║                    METHOD COMPARISON                       ║');
-      console.log('╚════════════════════════════════════════════════════════════╝\n');
-    }
+function isContainer(text) {
+  return locateContainer(text) !== null;
+}
 
-    // Choose the smaller one
-    if (compressedSize < directSize) {
-      if (verbose) {
-        console.log(`✅ Using Option 2 (Compress → Encode) - Smaller by ${directSize - compressedSize} bytes\n`);
-      }
-      finalContent = invisibleChars.COMPRESS + encodedCompressed;
-      finalSize = compressedSize;
-      methodUsed = 'COMPRESSED';
-    } else {
-      if (verbose) {
-        console.log(`✅ Using Option 1 (Direct Encode) - Smaller by ${compressedSize - directSize} bytes\n`);
-      }
-      finalContent = encodedDirect;
-      finalSize = directSize;
-      methodUsed = 'UNCOMPRESSED';
+// Options are passed to the scheme (e.g. carrier for headerless alphabets,
+// key for keyed alphabets); ecc writes an error-corrected frame instead
+function encodeContainer(payload, meta = {}, scheme = 'binary', options = {}) {
+  if (options.key != null && !getScheme(scheme).symbols) {
+    throw new Error(`Scheme "${scheme}" cannot be keyed (it has no symbol alphabet)`);
+  }
+  if (options.ecc != null) {
+    if (options.key != null || options.carrier != null) {
+      throw new Error('--ecc cannot be combined with --key or --carrier');
     }
-  } else {
-    // No compression - direct encoding
-    const encodedDirect = encodeToInvisible(originalBuffer);
-    finalSize = Buffer.from(encodedDirect, 'utf8').length;
+    return encodeEccFrame(buildContainer(payload, meta), scheme, options.ecc);
+  }
+  return getScheme(scheme).encode(buildContainer(payload, meta), options);
+}
 
-    if (verbose) {
-      console.log('🔹 Direct Encoding (no compression)');
-      console.log(`   Size: ${finalSize.toLocaleString()} bytes`);
-      console.log(`   Ratio: ${((finalSize / originalSize) * 100).toFixed(2)}% of original\n`);
-    }
+function decodeContainer(text, options = {}) {
+  const { strict = true, key = null } = options;
+  if (key !== null) checkKey(key);
+  const location = key === null ? locateContainer(text) : locateKeyedContainer(text, key);
+  if (!location) {
+    throw new Error(key === null
+      ? 'No invjsible container header found'
+      : 'No payload found for this key (wrong key, or not encoded with --key)');
+  }
 
-    finalContent = encodedDirect;
-    methodUsed = 'UNCOMPRESSED';
+  // Visible text around the payload (e.g. a surrounding document) is ignored
+  const { index, scheme } = location;
+  const { buffer, ecc = null } = location.ecc
+    ? decodeEccFrame(text.slice(index), scheme.name)
+    : { buffer: scheme.decode(text.slice(index), { strict, key }) };
+  if (key === null && !buffer.subarray(0, CONTAINER.MAGIC.length).equals(CONTAINER.MAGIC)) {
+    throw new Error('Not an invjsible container (bad magic signature); payloads encoded with --key need the same key');
   }
 
-  // ==================== SAVE FILE ====================
+  return { ...parseContainer(buffer, { strict }), scheme: scheme.name, keyed: key !== null, ecc };
+}
 
-  let savedSize;
+// ==================== ERROR CORRECTION ====================
+
+// Reed-Solomon over GF(256) (polynomial 0x11D), interleaved so that one block
+// of text holds one byte of every codeword. Text layout:
+//   marker | SYNC preamble ×3 | SYNC block 0 | SYNC block 1 | ... | SYNC block n-1
+// Preamble: level id (1) | data length (4) | CRC32 of both (4)
+// Block:    block index (1) | byte `index` of each codeword
+// A dropped or duplicated character only changes the length of its block,
+// which is then treated as an erasure: every codeword loses one byte, which
+// the parity bytes restore. Blocks are located by their index, so a lost
+// SYNC (two blocks glued together) or a lost block does not shift the rest.
+const ECC_LEVELS = {
+  low: { id: 1, data: 48, parity: 8 },
+  medium: { id: 2, data: 32, parity: 16 },
+  high: { id: 3, data: 16, parity: 16 }
+};
 
-  if (runable) {
-    const runnableContent = generateRunnableTemplate(
-      finalContent,
-      originalFileName,
-      methodUsed === 'COMPRESSED'
-    );
+const ECC_PREAMBLE_SIZE = 9;
+const ECC_PREAMBLE_COPIES = 3;
+
+const GF_EXP = new Uint8Array(512);
+const GF_LOG = new Uint8Array(256);
+(() => {
+  let x = 1;
+  for (let i = 0; i < 255; i++) {
+    GF_EXP[i] = x;
+    GF_LOG[x] = i;
+    x <<= 1;
+    if (x & 0x100) x ^= 0x11D;
+  }
+  for (let i = 255; i < 512; i++) GF_EXP[i] = GF_EXP[i - 255];
+})();
 
-    fs.writeFileSync(outputFile, runnableContent, 'utf8');
+function gfMul(a, b) {
+  return a === 0 || b === 0 ? 0 : GF_EXP[GF_LOG[a] + GF_LOG[b]];
+}
 
-    // Make executable on Unix systems
-    try {
-      fs.chmodSync(outputFile, '755');
-    } catch (_err) { // eslint-disable-line no-unused-vars
-      // Ignore permission errors on Windows
-    }
+function gfDiv(a, b) {
+  return a === 0 ? 0 : GF_EXP[(GF_LOG[a] + 255 - GF_LOG[b]) % 255];
+}
 
-    savedSize = fs.statSync(outputFile).size;
+function gfPow(a, power) {
+  return GF_EXP[(((GF_LOG[a] * power) % 255) + 255) % 255];
+}
 
-    if (verbose) {
-      console.log(`💾 Executable file saved: ${outputFile}`);
-      console.log(`📊 Saved size: ${savedSize.toLocaleString()} bytes`);
-      console.log(`🏃 Mode: Self-extracting executable`);
-      if (methodUsed === 'COMPRESSED') {
-        console.log(`🔐 Marker: COMPRESSED (U+${invisibleChars.COMPRESS.charCodeAt(0).toString(16).toUpperCase()})`);
-      }
-      console.log(`\n💡 Execute with: node ${outputFile}`);
-      console.log(`   Or directly: ./${outputFile} (on Unix/Linux/Mac)`);
-    } else {
-      console.log(`✅ Executable file: ${inputFile} → ${outputFile} (${savedSize.toLocaleString()} bytes)`);
-    }
-  } else {
-    // Normal mode (not runnable) - always text with invisible characters
-    fs.writeFileSync(outputFile, finalContent, 'utf8');
-    savedSize = fs.statSync(outputFile).size;
+function gfInverse(a) {
+  return GF_EXP[255 - GF_LOG[a]];
+}
 
-    if (verbose) {
-      console.log(`💾 File saved: ${outputFile}`);
-      console.log(`📊 Saved size: ${savedSize.toLocaleString()} bytes`);
-      console.log(`📝 Output type: Text file (invisible characters)`);
-      if (methodUsed === 'COMPRESSED') {
-        console.log(`🔐 Marker: COMPRESSED (U+${invisibleChars.COMPRESS.charCodeAt(0).toString(16).toUpperCase()})`);
-      }
-    } else {
-      console.log(`✅ Encoded: ${inputFile} → ${outputFile} (${savedSize.toLocaleString()} bytes, ${methodUsed})`);
-    }
-  }
+// Polynomials are arrays of coefficients, highest degree first
+function polyScale(p, x) {
+  return p.map(coefficient => gfMul(coefficient, x));
+}
 
-  if (verbose) {
-    console.log('\n✨ Encoding completed\n');
+function polyAdd(p, q) {
+  const result = new Array(Math.max(p.length, q.length)).fill(0);
+  p.forEach((coefficient, i) => { result[i + result.length - p.length] = coefficient; });
+  q.forEach((coefficient, i) => { result[i + result.length - q.length] ^= coefficient; });
+  return result;
+}
+
+function polyMul(p, q) {
+  const result = new Array(p.length + q.length - 1).fill(0);
+  for (let j = 0; j < q.length; j++) {
+    for (let i = 0; i < p.length; i++) {
+      result[i + j] ^= gfMul(p[i], q[j]);
+    }
   }
+  return result;
 }
 
-// ==================== DECODE ====================
+function polyEval(p, x) {
+  let y = p[0];
+  for (let i = 1; i < p.length; i++) y = gfMul(y, x) ^ p[i];
+  return y;
+}
 
-async function decode(inputFile, outputFile = null, options = {}) {
-  const { verbose = false } = options;
+function rsGenerator(parity) {
+  let generator = [1];
+  for (let i = 0; i < parity; i++) generator = polyMul(generator, [1, gfPow(2, i)]);
+  return generator;
+}
 
-  if (verbose) {
-    console.log('\n╔════════════════════════════════════════════════════════════╗');
-    console.log('║           DECODING FROM INVISIBLE CHARACTERS              ║');
-    console.log('╚════════════════════════════════════════════════════════════╝\n');
-    console.log(`📄 Encoded file: ${inputFile}`);
+// Systematic encoding: data bytes followed by parity bytes
+function rsEncode(data, parity) {
+  const generator = rsGenerator(parity);
+  const remainder = [...data, ...new Array(parity).fill(0)];
+  for (let i = 0; i < data.length; i++) {
+    const coefficient = remainder[i];
+    if (coefficient === 0) continue;
+    for (let j = 1; j < generator.length; j++) {
+      remainder[i + j] ^= gfMul(generator[j], coefficient);
+    }
   }
+  return [...data, ...remainder.slice(data.length)];
+}
 
-  // Read file
-  let encodedContent = fs.readFileSync(inputFile, 'utf8');
-  let isRunnable = false;
+function rsSyndromes(codeword, parity) {
+  return [0, ...Array.from({ length: parity }, (_, i) => polyEval(codeword, gfPow(2, i)))];
+}
 
-  // Detect if it's a runnable file (contains the wrapper)
-  if (encodedContent.includes('// Self-extracting executable generated by invjsible')) {
-    if (verbose) console.log('🏃 Runnable file detected, extracting embedded content...');
-    isRunnable = true;
+function rsErrataLocator(coefficientPositions) {
+  return coefficientPositions.reduce((locator, position) => polyMul(locator, polyAdd([1], [gfPow(2, position), 0])), [1]);
+}
 
-    // Extract encoded content from minified template pattern "const n=`...`"
-    const match = encodedContent.match(/const n=`([^`]+)`/s);
-    if (match && match[1]) {
-      encodedContent = match[1];
-      if (verbose) console.log('✅ Embedded content extracted successfully');
-    } else {
-      console.error('❌ Error: Could not extract content from runnable file');
-      process.exit(1);
+function rsErrorEvaluator(syndromes, locator, parity) {
+  const product = polyMul(syndromes, locator);
+  return product.slice(product.length - (parity + 1));
+}
+
+function rsForneySyndromes(syndromes, erasures, length) {
+  const forney = syndromes.slice(1);
+  for (const position of erasures) {
+    const x = gfPow(2, length - 1 - position);
+    for (let j = 0; j < forney.length - 1; j++) {
+      forney[j] = gfMul(forney[j], x) ^ forney[j + 1];
     }
   }
+  return forney;
+}
 
-  // Decode
-  const { buffer: decodedBuffer, isCompressed } = decodeFromInvisible(encodedContent);
-
-  if (verbose) {
-    if (isCompressed) {
-      console.log(`🔐 Compression detected: Yes (marker U+200D)`);
-    } else {
-      console.log('ℹ️  No compression detected');
+// Berlekamp-Massey on the Forney syndromes (erasures already removed)
+function rsErrorLocator(syndromes, parity, erasureCount) {
+  let locator = [1];
+  let previous = [1];
+  const shift = syndromes.length > parity ? syndromes.length - parity : 0;
+
+  for (let i = 0; i < parity - erasureCount; i++) {
+    const k = i + shift;
+    let delta = syndromes[k];
+    for (let j = 1; j < locator.length; j++) {
+      delta ^= gfMul(locator[locator.length - 1 - j], syndromes[k - j]);
     }
-    if (isRunnable) {
+    previous = [...previous, 0];
+    if (delta !== 0) {
+      if (previous.length > locator.length) {
+        const next = polyScale(previous, delta);
+        previous = polyScale(locator, gfInverse(delta));
+        locator = next;
+      }
+      locator = polyAdd(locator, polyScale(previous, delta));
+    }
+  }
+
+  while (locator.length > 0 && locator[0] === 0) locator.shift();
+  const errors = locator.length - 1;
+  if ((errors - erasureCount) * 2 + erasureCount > parity) return null;
+  return locator;
+}
+
+// Chien search: positions (from the start) where the locator has roots
+function rsErrorPositions(reversedLocator, length) {
+  const positions = [];
+  for (let i = 0; i < length; i++) {
+    if (polyEval(reversedLocator, gfPow(2, i)) === 0) positions.push(length - 1 - i);
+  }
+  return positions.length === reversedLocator.length - 1 ? positions : null;
+}
+
+// Forney algorithm: error magnitudes at the known positions
+function rsCorrectErrata(codeword, syndromes, positions) {
+  const coefficientPositions = positions.map(position => codeword.length - 1 - position);
+  const locator = rsErrataLocator(coefficientPositions);
+  const evaluator = rsErrorEvaluator([...syndromes].reverse(), locator, locator.length - 1).reverse();
+  const roots = coefficientPositions.map(position => gfPow(2, position - 255));
+  const corrected = [...codeword];
+
+  for (let i = 0; i < roots.length; i++) {
+    const inverse = gfInverse(roots[i]);
+    let derivative = 1;
+    for (let j = 0; j < roots.length; j++) {
+      if (j !== i) derivative = gfMul(derivative, 1 ^ gfMul(inverse, roots[j]));
+    }
+    if (derivative === 0) return null;
+    const y = gfMul(roots[i], polyEval([...evaluator].reverse(), inverse));
+    corrected[positions[i]] ^= gfDiv(y, derivative);
+  }
+  return corrected;
+}
+
+// Returns { data, corrected } or null when the codeword cannot be repaired
+function rsDecode(received, parity, erasures = []) {
+  const codeword = [...received];
+  erasures.forEach(position => { codeword[position] = 0; });
+  if (erasures.length > parity) return null;
+
+  let syndromes = rsSyndromes(codeword, parity);
+  if (Math.max(...syndromes) === 0) {
+    return { data: codeword.slice(0, -parity), corrected: erasures.filter(position => received[position] !== 0).length };
+  }
+
+  const forney = rsForneySyndromes(syndromes, erasures, codeword.length);
+  const locator = rsErrorLocator(forney, parity, erasures.length);
+  if (!locator) return null;
+  const errors = rsErrorPositions([...locator].reverse(), codeword.length);
+  if (!errors) return null;
+
+  const repaired = rsCorrectErrata(codeword, syndromes, [...erasures, ...errors]);
+  if (!repaired) return null;
+  syndromes = rsSyndromes(repaired, parity);
+  if (Math.max(...syndromes) !== 0) return null;
+
+  return {
+    data: repaired.slice(0, -parity),
+    corrected: repaired.filter((byte, position) => byte !== received[position]).length
+  };
+}
+
+function eccLevel(name) {
+  if (!ECC_LEVELS[name]) {
+    throw new Error(`Unknown ECC level "${name}" (use ${Object.keys(ECC_LEVELS).join(', ')})`);
+  }
+  return ECC_LEVELS[name];
+}
+
+function checkEccScheme(scheme) {
+  const { name, symbols, marker } = getAlphabet(scheme);
+  if (symbols.includes(invisibleChars.SYNC) || marker.includes(invisibleChars.SYNC)) {
+    throw new Error(`Scheme "${name}" uses U+2063, which --ecc needs as its sync marker`);
+  }
+}
+
+function eccPreamble(level, dataLength) {
+  const preamble = Buffer.alloc(ECC_PREAMBLE_SIZE);
+  preamble.writeUInt8(level.id, 0);
+  preamble.writeUInt32BE(dataLength, 1);
+  preamble.writeUInt32BE(crc32(preamble.subarray(0, 5)), 5);
+  return preamble;
+}
+
+function parseEccPreamble(bytes) {
+  if (bytes.length !== ECC_PREAMBLE_SIZE || bytes.readUInt32BE(5) !== crc32(bytes.subarray(0, 5))) return null;
+  const name = Object.keys(ECC_LEVELS).find(key => ECC_LEVELS[key].id === bytes[0]);
+  return name ? { name, level: ECC_LEVELS[name], dataLength: bytes.readUInt32BE(1) } : null;
+}
+
+// Writes container bytes as an error-corrected frame of scheme symbols
+function encodeEccFrame(data, scheme, levelName) {
+  const level = eccLevel(levelName);
+  checkEccScheme(scheme);
+  const { marker } = getAlphabet(scheme);
+  const { SYNC } = invisibleChars;
+
+  const count = Math.max(1, Math.ceil(data.length / level.data));
+  const length = level.data + level.parity;
+  const blocks = Array.from({ length }, (_, index) => {
+    const block = Buffer.alloc(1 + count);
+    block[0] = index;
+    return block;
+  });
+
+  for (let c = 0; c < count; c++) {
+    const chunk = Array.from(data.subarray(c * level.data, (c + 1) * level.data));
+    while (chunk.length < level.data) chunk.push(0);
+    rsEncode(chunk, level.parity).forEach((byte, index) => { blocks[index][1 + c] = byte; });
+  }
+
+  const preamble = SYNC + encodeToInvisible(eccPreamble(level, data.length), scheme);
+  return marker + preamble.repeat(ECC_PREAMBLE_COPIES) + blocks.map(block => SYNC + encodeToInvisible(block, scheme)).join('');
+}
+
+function symbolCount(bytes, bits) {
+  return Math.ceil(bytes * 8 / bits);
+}
+
+// Finds an error-corrected frame of an alphabet scheme: index or -1. The
+// preamble must be one of the first parts and pass its CRC.
+function findEccFrame(text, scheme) {
+  const { marker, bits } = scheme;
+  const { SYNC } = invisibleChars;
+  const limit = symbolCount(ECC_PREAMBLE_SIZE, bits) * 2;
+
+  let index = text.indexOf(marker + SYNC);
+  while (index !== -1) {
+    let start = index + marker.length;
+    for (let part = 0; part < ECC_PREAMBLE_COPIES && text[start] === SYNC; part++) {
+      const end = text.indexOf(SYNC, start + 1);
+      const stop = end === -1 ? text.length : end;
+      if (stop - start - 1 <= limit && parseEccPreamble(decodeSymbols(text.slice(start + 1, stop), scheme.name).buffer)) {
+        return index;
+      }
+      start = stop;
+    }
+    index = text.indexOf(marker + SYNC, index + 1);
+  }
+  return -1;
+}
+
+// Returns { buffer, ecc: { level, blocks, damagedBlocks, corrected } }
+function decodeEccFrame(text, scheme) {
+  const { symbols, bits, marker } = getAlphabet(scheme);
+  const symbolSet = new Set(symbols);
+  const parts = text.slice(marker.length).split(invisibleChars.SYNC)
+    .map(part => Array.from(part).filter(char => symbolSet.has(char)))
+    .filter(part => part.length > 0);
+
+  let preamble = null;
+  const preambleLength = symbolCount(ECC_PREAMBLE_SIZE, bits);
+  for (const part of parts) {
+    if (part.length === preambleLength) {
+      preamble = parseEccPreamble(decodeSymbols(part.join(''), scheme).buffer);
+      if (preamble) break;
+    }
+  }
+  if (!preamble) {
+    throw new Error('Error-corrected payload has no readable preamble');
+  }
+
+  const { level, dataLength } = preamble;
+  const count = Math.max(1, Math.ceil(dataLength / level.data));
+  const length = level.data + level.parity;
+  const blockLength = symbolCount(1 + count, bits);
+  const blocks = new Array(length).fill(null);
+
+  // The first parts are the preamble copies. Blocks glued together by a lost
+  // SYNC are split again; blocks whose length changed are left out and
+  // become erasures.
+  for (const part of parts.slice(ECC_PREAMBLE_COPIES)) {
+    if (part.length % blockLength !== 0) continue;
+    for (let start = 0; start < part.length; start += blockLength) {
+      const block = decodeSymbols(part.slice(start, start + blockLength).join(''), scheme).buffer;
+      if (parseEccPreamble(block)) continue;
+      const index = block[0];
+      if (block.length === 1 + count && index < length && blocks[index] === null) {
+        blocks[index] = block;
+      }
+    }
+  }
+
+  const erasures = blocks.flatMap((block, index) => block === null ? [index] : []);
+  const data = Buffer.alloc(count * level.data);
+  let corrected = 0;
+
+  for (let c = 0; c < count; c++) {
+    const received = blocks.map(block => block === null ? 0 : block[1 + c]);
+    const result = rsDecode(received, level.parity, erasures);
+    if (!result) {
+      throw new Error(`Payload damaged beyond repair: ${erasures.length} of ${length} blocks lost and codeword ${c + 1} has too many errors (--ecc ${preamble.name} repairs ${level.parity} lost blocks)`);
+    }
+    Buffer.from(result.data).copy(data, c * level.data);
+    corrected += result.corrected;
+  }
+
+  return {
+    buffer: data.subarray(0, dataLength),
+    ecc: { level: preamble.name, blocks: length, damagedBlocks: erasures.length, corrected }
+  };
+}
+
+// ==================== INTEGRITY ====================
+
+// Checksum field: algorithm id (1) | digest of the original bytes
+// Block CRC field: block size (4) | CRC32 of every payload block (4 each)
+const CHECKSUM_ALGORITHMS = {
+  crc32: { id: 0x01, label: 'CRC32' },
+  sha256: { id: 0x02, label: 'SHA-256' }
+};
+
+const BLOCK_CRC_SIZE = 1024;
+const BLOCK_CRC_MAX_BLOCKS = 4096;
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// Pass the previous result to continue a CRC over several buffers
+function crc32(buffer, previous = 0) {
+  let crc = (previous ^ 0xFFFFFFFF) >>> 0;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Incremental checksum with the update()/digest() interface of crypto hashes
+function createChecksum(algorithm = 'crc32') {
+  if (algorithm === 'sha256') {
+    return crypto.createHash('sha256');
+  }
+  if (algorithm === 'crc32') {
+    let crc = 0;
+    return {
+      update(buffer) {
+        crc = crc32(buffer, crc);
+        return this;
+      },
+      digest() {
+        const digest = Buffer.alloc(4);
+        digest.writeUInt32BE(crc, 0);
+        return digest;
+      }
+    };
+  }
+  throw new Error(`Unknown checksum algorithm "${algorithm}" (use crc32 or sha256)`);
+}
+
+function computeChecksum(buffer, algorithm = 'crc32') {
+  return createChecksum(algorithm).update(buffer).digest();
+}
+
+// Name of the algorithm a checksum field starts with
+function checksumAlgorithm(field) {
+  const entry = Object.entries(CHECKSUM_ALGORITHMS).find(([, value]) => value.id === field[0]);
+  if (!entry) {
+    throw new Error(`Unknown checksum algorithm id ${field[0]}`);
+  }
+  return entry[0];
+}
+
+function integrityFields(original, payload, algorithm = 'crc32') {
+  const fields = [];
+
+  if (original) {
+    const digest = computeChecksum(original, algorithm);
+    fields.push([CONTAINER.FIELDS.CHECKSUM, Buffer.concat([Buffer.from([CHECKSUM_ALGORITHMS[algorithm].id]), digest])]);
+  }
+
+  // Grow the block size for big payloads so the CRC table stays small
+  let blockSize = BLOCK_CRC_SIZE;
+  while (Math.ceil(payload.length / blockSize) > BLOCK_CRC_MAX_BLOCKS) {
+    blockSize *= 2;
+  }
+
+  const blockCount = Math.ceil(payload.length / blockSize);
+  const table = Buffer.alloc(4 + blockCount * 4);
+  table.writeUInt32BE(blockSize, 0);
+  for (let i = 0; i < blockCount; i++) {
+    table.writeUInt32BE(crc32(payload.subarray(i * blockSize, (i + 1) * blockSize)), 4 + i * 4);
+  }
+  fields.push([CONTAINER.FIELDS.BLOCK_CRC, table]);
+
+  return fields;
+}
+
+function verifyBlocks(container) {
+  const table = container.fields.get(CONTAINER.FIELDS.BLOCK_CRC);
+  if (!table) return false;
+
+  const { payload } = container;
+  const blockSize = table.readUInt32BE(0);
+  const blockCount = (table.length - 4) / 4;
+
+  for (let i = 0; i < blockCount; i++) {
+    const start = i * blockSize;
+    const block = payload.subarray(start, start + blockSize);
+    if (crc32(block) !== table.readUInt32BE(4 + i * 4)) {
+      throw new Error(`Payload corrupted at byte ${start} (block ${i + 1} of ${blockCount} failed CRC32 check)`);
+    }
+  }
+
+  return true;
+}
+
+function verifyChecksum(container, data) {
+  const field = container.fields.get(CONTAINER.FIELDS.CHECKSUM);
+  if (!field) return null;
+
+  return checkDigest(field, computeChecksum(data, checksumAlgorithm(field)));
+}
+
+function checkDigest(field, actual) {
+  const { label } = CHECKSUM_ALGORITHMS[checksumAlgorithm(field)];
+  const expected = field.subarray(1);
+  if (!actual.equals(expected)) {
+    throw new Error(`Payload corrupted: ${label} mismatch (expected ${expected.toString('hex')}, got ${actual.toString('hex')})`);
+  }
+
+  return label;
+}
+
+// ==================== ENCRYPTION ====================
+
+// Encryption field: method (1) | nonce (12) | GCM tag (16) | method parameters
+// Password method parameters: log2(N) (1) | r (1) | p (1) | salt (16)
+// Recipients method parameters: count (1) | stanzas, one per recipient:
+//   key id (8) | ephemeral X25519 public key (32) | nonce (12) | wrapped content key (32) | GCM tag (16)
+const ENCRYPTION = {
+  METHODS: {
+    PASSWORD: 0x01,
+    RECIPIENTS: 0x02
+  },
+  STANZA_SIZE: 100,
+  KEY_ID_SIZE: 8,
+  WRAP_INFO: Buffer.from('invjsible recipient v1', 'ascii'),
+  // DER prefix of an X25519 SubjectPublicKeyInfo, followed by the 32 raw key bytes
+  X25519_SPKI_PREFIX: Buffer.from('302a300506032b656e032100', 'hex'),
+  SCRYPT: { LOG_N: 15, R: 8, P: 1 },
+  KEY_SIZE: 32,
+  SALT_SIZE: 16,
+  NONCE_SIZE: 12,
+  TAG_SIZE: 16
+};
+
+async function deriveKey(password, salt, { logN, r, p }) {
+  const N = 2 ** logN;
+  return await scrypt(password, salt, ENCRYPTION.KEY_SIZE, { N, r, p, maxmem: 256 * N * r });
+}
+
+async function createPasswordCipher(password) {
+  if (!password) {
+    throw new Error('Password must not be empty');
+  }
+
+  const { LOG_N: logN, R: r, P: p } = ENCRYPTION.SCRYPT;
+  const salt = crypto.randomBytes(ENCRYPTION.SALT_SIZE);
+  const key = await deriveKey(password, salt, { logN, r, p });
+
+  return {
+    method: ENCRYPTION.METHODS.PASSWORD,
+    key,
+    params: Buffer.concat([Buffer.from([logN, r, p]), salt])
+  };
+}
+
+// The container's magic, version and flags are authenticated too, so a
+// flipped "compressed" bit is caught as tampering. The version is the one in
+// the header, so streamed (version 2) containers authenticate as written.
+function containerAad(version, flags) {
+  return Buffer.concat([CONTAINER.MAGIC, Buffer.from([version, flags])]);
+}
+
+function encryptPayload(payload, cipher, flags) {
+  const nonce = crypto.randomBytes(ENCRYPTION.NONCE_SIZE);
+  const aes = crypto.createCipheriv('aes-256-gcm', cipher.key, nonce);
+  aes.setAAD(containerAad((flags & CONTAINER.FLAGS.STREAMED) !== 0 ? CONTAINER.STREAM_VERSION : CONTAINER.VERSION, flags));
+
+  const ciphertext = Buffer.concat([aes.update(payload), aes.final()]);
+  const field = Buffer.concat([Buffer.from([cipher.method]), nonce, aes.getAuthTag(), cipher.params]);
+
+  return { ciphertext, field: [CONTAINER.FIELDS.ENCRYPTION, field] };
+}
+
+function parseEncryptionField(container) {
+  const field = container.fields.get(CONTAINER.FIELDS.ENCRYPTION);
+  if (!field || field.length < 1 + ENCRYPTION.NONCE_SIZE + ENCRYPTION.TAG_SIZE) {
+    throw new Error('Encrypted payload is missing its encryption parameters');
+  }
+
+  const nonceEnd = 1 + ENCRYPTION.NONCE_SIZE;
+  const tagEnd = nonceEnd + ENCRYPTION.TAG_SIZE;
+  return {
+    method: field[0],
+    nonce: field.subarray(1, nonceEnd),
+    tag: field.subarray(nonceEnd, tagEnd),
+    params: field.subarray(tagEnd)
+  };
+}
+
+// Reads a password from the terminal without echoing it
+function promptPassword(question = 'Password: ') {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+    process.stderr.write(question);
+    rl._writeToOutput = () => {};
+    rl.question('', (answer) => {
+      rl.close();
+      process.stderr.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+function toPublicKey(key) {
+  const publicKey = key instanceof crypto.KeyObject ? key : crypto.createPublicKey(key);
+  if (publicKey.type === 'private') {
+    return crypto.createPublicKey(publicKey);
+  }
+  return publicKey;
+}
+
+function toPrivateKey(key) {
+  return key instanceof crypto.KeyObject ? key : crypto.createPrivateKey(key);
+}
+
+function rawX25519PublicKey(publicKey) {
+  if (publicKey.asymmetricKeyType !== 'x25519') {
+    throw new Error(`Recipient keys must be X25519 (got ${publicKey.asymmetricKeyType}); create one with "invjsible keygen"`);
+  }
+  return publicKey.export({ type: 'spki', format: 'der' }).subarray(ENCRYPTION.X25519_SPKI_PREFIX.length);
+}
+
+function keyId(rawPublicKey) {
+  return crypto.createHash('sha256').update(rawPublicKey).digest().subarray(0, ENCRYPTION.KEY_ID_SIZE);
+}
+
+// HKDF-SHA256 (RFC 5869) for a single 32-byte output block
+function hkdfSha256(ikm, salt, info) {
+  const prk = crypto.createHmac('sha256', salt).update(ikm).digest();
+  return crypto.createHmac('sha256', prk).update(Buffer.concat([info, Buffer.from([1])])).digest();
+}
+
+function wrapKeyFor(sharedSecret, ephemeralPublic, recipientPublic) {
+  return hkdfSha256(sharedSecret, Buffer.concat([ephemeralPublic, recipientPublic]), ENCRYPTION.WRAP_INFO);
+}
+
+function createRecipientCipher(recipients) {
+  if (!recipients || recipients.length === 0) {
+    throw new Error('At least one recipient public key is required');
+  }
+  if (recipients.length > 255) {
+    throw new Error(`Too many recipients (${recipients.length}, maximum 255)`);
+  }
+
+  const contentKey = crypto.randomBytes(ENCRYPTION.KEY_SIZE);
+  const stanzas = recipients.map((recipient) => {
+    const publicKey = toPublicKey(recipient);
+    const recipientPublic = rawX25519PublicKey(publicKey);
+    const ephemeral = crypto.generateKeyPairSync('x25519');
+    const ephemeralPublic = rawX25519PublicKey(ephemeral.publicKey);
+    const sharedSecret = crypto.diffieHellman({ privateKey: ephemeral.privateKey, publicKey });
+
+    const nonce = crypto.randomBytes(ENCRYPTION.NONCE_SIZE);
+    const aes = crypto.createCipheriv('aes-256-gcm', wrapKeyFor(sharedSecret, ephemeralPublic, recipientPublic), nonce);
+    const wrapped = Buffer.concat([aes.update(contentKey), aes.final()]);
+
+    return Buffer.concat([keyId(recipientPublic), ephemeralPublic, nonce, wrapped, aes.getAuthTag()]);
+  });
+
+  return {
+    method: ENCRYPTION.METHODS.RECIPIENTS,
+    key: contentKey,
+    params: Buffer.concat([Buffer.from([stanzas.length]), ...stanzas])
+  };
+}
+
+function unwrapContentKey(params, identity) {
+  const privateKey = toPrivateKey(identity);
+  const recipientPublic = rawX25519PublicKey(crypto.createPublicKey(privateKey));
+  const id = keyId(recipientPublic);
+
+  const count = params[0];
+  for (let i = 0; i < count; i++) {
+    const stanza = params.subarray(1 + i * ENCRYPTION.STANZA_SIZE, 1 + (i + 1) * ENCRYPTION.STANZA_SIZE);
+    if (!stanza.subarray(0, ENCRYPTION.KEY_ID_SIZE).equals(id)) continue;
+
+    let offset = ENCRYPTION.KEY_ID_SIZE;
+    const ephemeralPublic = stanza.subarray(offset, offset += 32);
+    const nonce = stanza.subarray(offset, offset += ENCRYPTION.NONCE_SIZE);
+    const wrapped = stanza.subarray(offset, offset += ENCRYPTION.KEY_SIZE);
+    const tag = stanza.subarray(offset, offset + ENCRYPTION.TAG_SIZE);
+
+    const sharedSecret = crypto.diffieHellman({
+      privateKey,
+      publicKey: crypto.createPublicKey({
+        key: Buffer.concat([ENCRYPTION.X25519_SPKI_PREFIX, ephemeralPublic]),
+        format: 'der',
+        type: 'spki'
+      })
+    });
+
+    try {
+      const aes = crypto.createDecipheriv('aes-256-gcm', wrapKeyFor(sharedSecret, ephemeralPublic, recipientPublic), nonce);
+      aes.setAuthTag(tag);
+      return Buffer.concat([aes.update(wrapped), aes.final()]);
+    } catch (_err) { // eslint-disable-line no-unused-vars
+      throw new Error('Decryption failed: recipient key stanza is corrupted');
+    }
+  }
+
+  throw new Error(`Payload was not encrypted for this identity (${count} recipient${count === 1 ? '' : 's'}, none match)`);
+}
+
+function encryptionMethod(container) {
+  return parseEncryptionField(container).method;
+}
+
+async function decryptPayload(container, options = {}) {
+  const { password = null, identity = null } = options;
+  const { method, nonce, tag, params } = parseEncryptionField(container);
+
+  let key;
+  if (method === ENCRYPTION.METHODS.PASSWORD) {
+    if (!password) {
+      throw new Error('Payload is encrypted: use --password or --password-file');
+    }
+    const [logN, r, p] = params;
+    key = await deriveKey(password, params.subarray(3, 3 + ENCRYPTION.SALT_SIZE), { logN, r, p });
+  } else if (method === ENCRYPTION.METHODS.RECIPIENTS) {
+    if (!identity) {
+      throw new Error('Payload is encrypted for recipients: use --identity <key.pem>');
+    }
+    key = unwrapContentKey(params, identity);
+  } else {
+    throw new Error(`Unsupported encryption method ${method}`);
+  }
+
+  try {
+    const aes = crypto.createDecipheriv('aes-256-gcm', key, nonce);
+    aes.setAAD(containerAad(container.version, container.flags));
+    aes.setAuthTag(tag);
+    return Buffer.concat([aes.update(container.payload), aes.final()]);
+  } catch (_err) { // eslint-disable-line no-unused-vars
+    throw new Error(method === ENCRYPTION.METHODS.PASSWORD
+      ? 'Decryption failed: wrong password or tampered payload'
+      : 'Decryption failed: tampered payload');
+  }
+}
+
+// ==================== SIGNATURES ====================
+
+// Signature field: Ed25519 public key of the signer (32) | signature (64)
+// It is always the last field and signs the whole container without itself.
+// Detached signatures sign the bytes of the encoded file instead.
+const SIGNATURE = {
+  CONTEXT: Buffer.from('invjsible signature v1\0', 'ascii'),
+  DETACHED_CONTEXT: Buffer.from('invjsible detached signature v1\0', 'ascii'),
+  ED25519_SPKI_PREFIX: Buffer.from('302a300506032b6570032100', 'hex'),
+  PUBLIC_KEY_SIZE: 32,
+  SIZE: 64
+};
+
+function rawEd25519PublicKey(publicKey) {
+  if (publicKey.asymmetricKeyType !== 'ed25519') {
+    throw new Error(`Signing keys must be Ed25519 (got ${publicKey.asymmetricKeyType}); create one with "invjsible keygen --type ed25519"`);
+  }
+  return publicKey.export({ type: 'spki', format: 'der' }).subarray(SIGNATURE.ED25519_SPKI_PREFIX.length);
+}
+
+function toSigningKey(key) {
+  const privateKey = toPrivateKey(key);
+  rawEd25519PublicKey(crypto.createPublicKey(privateKey));
+  return privateKey;
+}
+
+function signatureField(payload, meta, signingKey) {
+  const privateKey = toSigningKey(signingKey);
+  const message = Buffer.concat([SIGNATURE.CONTEXT, buildContainer(payload, meta)]);
+  const signature = crypto.sign(null, message, privateKey);
+
+  return [CONTAINER.FIELDS.SIGNATURE, Buffer.concat([rawEd25519PublicKey(crypto.createPublicKey(privateKey)), signature])];
+}
+
+// Returns { signed, valid, trusted, fingerprint }; trusted is null when no
+// public key was given to pin the signer
+function verifyContainerSignature(container, options = {}) {
+  const { pubkey = null } = options;
+  const field = container.fields.get(CONTAINER.FIELDS.SIGNATURE);
+
+  if (!field) {
+    return { signed: false, valid: false, trusted: pubkey ? false : null, fingerprint: null };
+  }
+
+  const signerRaw = field.subarray(0, SIGNATURE.PUBLIC_KEY_SIZE);
+  const fingerprint = keyId(signerRaw).toString('hex');
+  const trusted = pubkey ? rawEd25519PublicKey(toPublicKey(pubkey)).equals(signerRaw) : null;
+
+  if (field.length !== SIGNATURE.PUBLIC_KEY_SIZE + SIGNATURE.SIZE) {
+    return { signed: true, valid: false, trusted, fingerprint };
+  }
+
+  const signerKey = crypto.createPublicKey({
+    key: Buffer.concat([SIGNATURE.ED25519_SPKI_PREFIX, signerRaw]),
+    format: 'der',
+    type: 'spki'
+  });
+  const fields = [...container.fields].filter(([type]) => type !== CONTAINER.FIELDS.SIGNATURE);
+  const unsigned = buildContainer(container.payload, {
+    compressed: container.compressed,
+    encrypted: container.encrypted,
+    fields
+  });
+  const valid = crypto.verify(null, Buffer.concat([SIGNATURE.CONTEXT, unsigned]), signerKey, field.subarray(SIGNATURE.PUBLIC_KEY_SIZE));
+
+  return { signed: true, valid, trusted, fingerprint };
+}
+
+function signDetached(content, signingKey) {
+  const signature = crypto.sign(null, Buffer.concat([SIGNATURE.DETACHED_CONTEXT, Buffer.from(content)]), toSigningKey(signingKey));
+  return signature.toString('base64') + '\n';
+}
+
+function verifyDetached(content, signatureText, pubkey) {
+  const publicKey = toPublicKey(pubkey);
+  const fingerprint = keyId(rawEd25519PublicKey(publicKey)).toString('hex');
+  const signature = Buffer.from(signatureText.trim(), 'base64');
+  const valid = signature.length === SIGNATURE.SIZE &&
+    crypto.verify(null, Buffer.concat([SIGNATURE.DETACHED_CONTEXT, Buffer.from(content)]), publicKey, signature);
+
+  return { signed: true, valid, trusted: valid, fingerprint };
+}
+
+function describeSignature(result) {
+  if (!result.signed) return 'not signed';
+  if (!result.valid) return `INVALID (claimed signer ${result.fingerprint})`;
+  if (result.trusted === false) return `valid, but signed by ${result.fingerprint}, not the expected key`;
+  if (result.trusted === null) return `valid (signer ${result.fingerprint}, not pinned: pass --pubkey to check the signer)`;
+  return `valid (signer ${result.fingerprint})`;
+}
+
+// ==================== FRAGMENTS ====================
+
+// Fragment field: payload id (8) | sequence number, from 1 (2) | total (2)
+// Each fragment is a complete container holding one slice of the stored
+// (possibly compressed) payload, the checksum of the original bytes and the
+// block CRCs of its own slice.
+const FRAGMENT_ID_SIZE = 8;
+const FRAGMENT_MAX_PARTS = 0xFFFF;
+
+function fragmentField(id, sequence, total) {
+  const value = Buffer.alloc(FRAGMENT_ID_SIZE + 4);
+  id.copy(value, 0);
+  value.writeUInt16BE(sequence, FRAGMENT_ID_SIZE);
+  value.writeUInt16BE(total, FRAGMENT_ID_SIZE + 2);
+  return [CONTAINER.FIELDS.FRAGMENT, value];
+}
+
+function parseFragmentField(container) {
+  const value = container.fields.get(CONTAINER.FIELDS.FRAGMENT);
+  if (!value) return null;
+  if (value.length !== FRAGMENT_ID_SIZE + 4) {
+    throw new Error(`Fragment field is malformed (${value.length} bytes)`);
+  }
+  return {
+    id: value.subarray(0, FRAGMENT_ID_SIZE).toString('hex'),
+    sequence: value.readUInt16BE(FRAGMENT_ID_SIZE),
+    total: value.readUInt16BE(FRAGMENT_ID_SIZE + 2)
+  };
+}
+
+// Slices whose sizes differ by at most one byte
+function splitBuffer(buffer, parts) {
+  const size = Math.floor(buffer.length / parts);
+  const extra = buffer.length % parts;
+  const slices = [];
+  let offset = 0;
+  for (let index = 0; index < parts; index++) {
+    const end = offset + size + (index < extra ? 1 : 0);
+    slices.push(buffer.subarray(offset, end));
+    offset = end;
+  }
+  return slices;
+}
+
+// Orders { file, container, fragment } entries by sequence number; fragments
+// of another payload and missing numbers are errors, identical copies are not
+function orderFragments(fragments) {
+  const [{ fragment: first }] = fragments;
+
+  const foreign = fragments.find(({ fragment }) => fragment.id !== first.id || fragment.total !== first.total);
+  if (foreign) {
+    throw new Error(`${foreign.file} belongs to another payload (id ${foreign.fragment.id}, expected ${first.id})`);
+  }
+
+  const bySequence = new Map();
+  for (const entry of fragments) {
+    const { sequence } = entry.fragment;
+    const seen = bySequence.get(sequence);
+    if (seen && !seen.container.payload.equals(entry.container.payload)) {
+      throw new Error(`Fragment ${sequence} appears twice with different contents (${seen.file}, ${entry.file})`);
+    }
+    bySequence.set(sequence, entry);
+  }
+
+  const missing = [];
+  for (let sequence = 1; sequence <= first.total; sequence++) {
+    if (!bySequence.has(sequence)) missing.push(sequence);
+  }
+  if (missing.length > 0) {
+    throw new Error(`Missing fragment${missing.length > 1 ? 's' : ''} ${missing.join(', ')} of ${first.total}`);
+  }
+
+  return Array.from({ length: first.total }, (_, index) => bySequence.get(index + 1));
+}
+
+// ==================== SECRET SHARING ====================
+
+// Shamir's scheme over GF(256) (the Reed-Solomon field), byte by byte: share x
+// holds f(x), where f is a random polynomial of degree threshold - 1 whose
+// constant term is the secret byte. Any threshold shares give f(0) back by
+// Lagrange interpolation; fewer shares reveal nothing about it.
+// The secret is a complete inner container, so the file name, flags and
+// checksum are shared too and the share headers reveal nothing about the file.
+// Share field: share set id (8) | x (1) | threshold (1) | share count (1)
+const SHARE_ID_SIZE = 8;
+const SHARES_MAX = 255;
+
+function shamirSplit(secret, count, threshold) {
+  const degree = threshold - 1;
+  const coefficients = crypto.randomBytes(secret.length * degree);
+
+  return Array.from({ length: count }, (_, index) => {
+    const x = index + 1;
+    const share = Buffer.alloc(secret.length);
+    for (let byte = 0; byte < secret.length; byte++) {
+      // Horner's rule from the highest coefficient down to the secret byte
+      let y = 0;
+      for (let power = degree; power >= 1; power--) {
+        y = gfMul(y, x) ^ coefficients[byte * degree + power - 1];
+      }
+      share[byte] = gfMul(y, x) ^ secret[byte];
+    }
+    return share;
+  });
+}
+
+// Points are { x, y } with distinct x; returns f(0) for every byte
+function shamirCombine(points) {
+  const weights = points.map(({ x }, i) => points.reduce(
+    (weight, other, j) => i === j ? weight : gfMul(weight, gfDiv(other.x, other.x ^ x)),
+    1
+  ));
+
+  const secret = Buffer.alloc(points[0].y.length);
+  for (let byte = 0; byte < secret.length; byte++) {
+    let value = 0;
+    for (let i = 0; i < points.length; i++) {
+      value ^= gfMul(points[i].y[byte], weights[i]);
+    }
+    secret[byte] = value;
+  }
+  return secret;
+}
+
+function shareField(id, x, threshold, count) {
+  return [CONTAINER.FIELDS.SHARE, Buffer.concat([id, Buffer.from([x, threshold, count])])];
+}
+
+function parseShareField(container) {
+  const value = container.fields.get(CONTAINER.FIELDS.SHARE);
+  if (!value) return null;
+  if (value.length !== SHARE_ID_SIZE + 3) {
+    throw new Error(`Share field is malformed (${value.length} bytes)`);
+  }
+  return {
+    id: value.subarray(0, SHARE_ID_SIZE).toString('hex'),
+    x: value[SHARE_ID_SIZE],
+    threshold: value[SHARE_ID_SIZE + 1],
+    count: value[SHARE_ID_SIZE + 2]
+  };
+}
+
+// Combines { file, container, share } entries of one share set into the
+// inner container; copies of the same share count once
+function combineShares(entries, options = {}) {
+  const [{ share: first }] = entries;
+  const points = new Map();
+
+  for (const { file, container, share } of entries) {
+    if (!share) {
+      throw new Error(`${file} is not a share (only shares written by encode --shares can be combined)`);
+    }
+    if (share.id !== first.id) {
+      throw new Error(`${file} belongs to another share set (id ${share.id}, expected ${first.id})`);
+    }
+    if (!points.has(share.x)) points.set(share.x, container.payload);
+  }
+
+  const used = Array.from(points.keys()).sort((a, b) => a - b);
+  if (used.length < first.threshold) {
+    throw new Error(`Need ${first.threshold} of ${first.count} shares to decode, got ${used.length} (share${used.length > 1 ? 's' : ''} ${used.join(', ')})`);
+  }
+
+  const selected = used.slice(0, first.threshold).map(x => ({ x, y: points.get(x) }));
+  if (selected.some(({ y }) => y.length !== selected[0].y.length)) {
+    throw new Error('Shares have different lengths (a share is damaged)');
+  }
+
+  const secret = shamirCombine(selected);
+  if (!secret.subarray(0, CONTAINER.MAGIC.length).equals(CONTAINER.MAGIC)) {
+    throw new Error('Shares do not combine into a container (a share is damaged)');
+  }
+
+  return {
+    ...parseContainer(secret, options),
+    shares: { id: first.id, threshold: first.threshold, count: first.count, used: selected.map(({ x }) => x) }
+  };
+}
+
+// ==================== STREAMING ====================
+
+// Streamed containers are written before the payload size is known: the
+// header (version 2, flag 0x04) has a zero payload length and a checksum field
+// holding only the algorithm id, and the stored bytes follow as records
+//   length (4) | stored bytes | CRC32 of those bytes (4)
+// closed by a zero length and the digest of the original bytes. Every stage
+// is a Transform, so memory use does not grow with the input. The stream
+// decoder also reads ordinary containers, checking block CRCs as they pass.
+const STREAM_THRESHOLD = 64 * 1024 * 1024;
+const STREAM_HEAD_SIZE = 1024 * 1024;
+const STREAM_UNSUPPORTED_FIELDS = [CONTAINER.FIELDS.SIGNATURE, CONTAINER.FIELDS.FRAGMENT, CONTAINER.FIELDS.SHARE];
+
+function parseStreamRecords(buffer, options = {}) {
+  const { strict = true } = options;
+  const records = [];
+  let offset = 0;
+  let position = 0;
+
+  while (offset + 4 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    if (length === 0) {
+      return { payload: Buffer.concat(records), digest: buffer.subarray(offset + 4) };
+    }
+    const end = offset + 4 + length;
+    if (end + 4 > buffer.length) break;
+
+    const data = buffer.subarray(offset + 4, end);
+    if (strict && crc32(data) !== buffer.readUInt32BE(end)) {
+      throw new Error(`Payload corrupted at byte ${position} (stream record ${records.length + 1} failed CRC32 check)`);
+    }
+    records.push(data);
+    position += length;
+    offset = end + 4;
+  }
+
+  if (strict) {
+    throw new Error('Payload truncated: the stream has no end record');
+  }
+  return { payload: Buffer.concat(records), digest: null };
+}
+
+// Transform whose step(chunk) and end() return the bytes to pass on; errors
+// they throw fail the pipeline
+function createTransform(step, end = () => null) {
+  const output = data => (data && data.length > 0 ? data : undefined);
+  return new stream.Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        callback(null, output(step(chunk)));
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush(callback) {
+      try {
+        callback(null, output(end()));
+      } catch (error) {
+        callback(error);
+      }
+    }
+  });
+}
+
+// Counts and checksums the bytes passing through with state.algorithm
+function createChecksumTap(state) {
+  return createTransform(chunk => {
+    if (!state.hash) state.hash = createChecksum(state.algorithm);
+    state.hash.update(chunk);
+    state.size += chunk.length;
+    return chunk;
+  });
+}
+
+// Stored bytes → header, one record per chunk, end record with the digest
+function createRecordWriter(header, state) {
+  let started = false;
+  const start = () => {
+    if (started) return [];
+    started = true;
+    return [header];
+  };
+
+  return createTransform(chunk => {
+    if (chunk.length === 0) return null;
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(chunk.length, 0);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(chunk), 0);
+    return Buffer.concat([...start(), length, chunk, crc]);
+  }, () => Buffer.concat([...start(), Buffer.alloc(4), state.hash.digest()]));
+}
+
+// Bytes → marker and symbols. Chunks are cut at whole characters (every 3
+// bytes for base-8), the rest waits for the next chunk
+function createSymbolEncoder(scheme) {
+  const { bits, marker } = getAlphabet(scheme);
+  let group = 1;
+  while ((group * 8) % bits !== 0) group++;
+  let pending = Buffer.alloc(0);
+  let prefix = marker;
+
+  const encodeWhole = data => {
+    const whole = data.length - (data.length % group);
+    pending = Buffer.from(data.subarray(whole));
+    const text = prefix + encodeToInvisible(data.subarray(0, whole), scheme);
+    prefix = '';
+    return text;
+  };
+
+  return createTransform(
+    chunk => encodeWhole(pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk),
+    () => prefix + encodeToInvisible(pending, scheme)
+  );
+}
+
+// Invisible text → bytes. The payload must start within the first
+// STREAM_HEAD_SIZE characters; bits left over are carried to the next chunk
+function createSymbolDecoder(state) {
+  const decoder = new StringDecoder('utf8');
+  let head = '';
+  let lookup = null;
+  let bits = 0;
+  let acc = 0;
+  let accBits = 0;
+
+  const read = text => {
+    const bytes = Buffer.alloc(Math.ceil(text.length * bits / 8));
+    let length = 0;
+    for (const char of text) {
+      const value = lookup.get(char);
+      if (value === undefined) continue;
+      acc = (acc << bits) | value;
+      accBits += bits;
+      if (accBits >= 8) {
+        accBits -= 8;
+        bytes[length++] = (acc >> accBits) & 0xFF;
+        acc &= (1 << accBits) - 1;
+      }
+    }
+    return bytes.subarray(0, length);
+  };
+
+  const decode = (text, final) => {
+    if (lookup) return read(text);
+
+    head += text;
+    const location = locateContainer(head);
+    if (!location) {
+      if (final || head.length > STREAM_HEAD_SIZE) {
+        throw new Error('No invjsible container header found');
+      }
+      return null;
+    }
+    if (location.ecc || !location.scheme.symbols) {
+      throw new Error(location.ecc
+        ? 'Error-corrected payloads cannot be streamed'
+        : `Payloads of the "${location.scheme.name}" scheme cannot be streamed (it has no symbol alphabet)`);
+    }
+
+    const { name, symbols, marker } = location.scheme;
+    state.scheme = name;
+    bits = location.scheme.bits;
+    lookup = new Map(symbols.map((symbol, index) => [symbol, index]));
+    const rest = head.slice(location.index + marker.length);
+    head = '';
+    return read(rest);
+  };
+
+  return createTransform(chunk => decode(decoder.write(chunk), false), () => {
+    const bytes = decode(decoder.end(), true);
+    if (state.strict && accBits >= bits) {
+      throw new Error(`Payload damaged: ${accBits} stray bits (an invisible character was dropped or duplicated)`);
+    }
+    return bytes;
+  });
+}
+
+// Container bytes → stored payload, checking record or block CRCs. The header
+// and the expected checksum field are left in state.
+function createContainerReader(state) {
+  let pending = Buffer.alloc(0);
+  let header = null;
+  let payloadLength = 0;
+  let position = 0;
+  let trailing = 0;
+  let record = null;
+  let records = 0;
+  let trailer = null;
+  let blocks = null;
+
+  const readHeader = () => {
+    if (pending.length < CONTAINER.FIXED_SIZE) return false;
+    if (!pending.subarray(0, CONTAINER.MAGIC.length).equals(CONTAINER.MAGIC)) {
+      throw new Error('Not an invjsible container (bad magic signature)');
+    }
+    const end = CONTAINER.FIXED_SIZE + pending.readUInt16BE(9);
+    if (pending.length < end) return false;
+
+    header = parseContainer(pending.subarray(0, end), { strict: false });
+    if (header.encrypted) {
+      throw new Error('Encrypted payloads cannot be streamed');
+    }
+    if (STREAM_UNSUPPORTED_FIELDS.some(type => header.fields.has(type))) {
+      throw new Error('Signed, split and shared payloads cannot be streamed');
+    }
+
+    state.header = header;
+    state.checksum = header.fields.get(CONTAINER.FIELDS.CHECKSUM) || null;
+    state.algorithm = state.checksum ? checksumAlgorithm(state.checksum) : 'crc32';
+    payloadLength = header.streamed ? 0 : pending.readUInt32BE(5);
+    const table = header.fields.get(CONTAINER.FIELDS.BLOCK_CRC);
+    if (!header.streamed && table && state.strict) {
+      blocks = { size: table.readUInt32BE(0), count: (table.length - 4) / 4, table, index: 0, filled: 0, crc: 0 };
+    }
+    pending = pending.subarray(end);
+    return true;
+  };
+
+  const checkBlock = () => {
+    if (blocks.crc !== blocks.table.readUInt32BE(4 + blocks.index * 4)) {
+      throw new Error(`Payload corrupted at byte ${blocks.index * blocks.size} (block ${blocks.index + 1} of ${blocks.count} failed CRC32 check)`);
+    }
+    blocks.index++;
+    blocks.filled = 0;
+    blocks.crc = 0;
+  };
+
+  const readPayload = () => {
+    const data = pending.subarray(0, payloadLength - position);
+    trailing += pending.length - data.length;
+    pending = Buffer.alloc(0);
+    position += data.length;
+
+    for (let offset = 0; blocks && offset < data.length;) {
+      const part = data.subarray(offset, offset + blocks.size - blocks.filled);
+      blocks.crc = crc32(part, blocks.crc);
+      blocks.filled += part.length;
+      offset += part.length;
+      if (blocks.filled === blocks.size) checkBlock();
+    }
+    return data;
+  };
+
+  const readRecords = () => {
+    const output = [];
+    while (trailer === null) {
+      if (record === null) {
+        if (pending.length < 4) break;
+        record = pending.readUInt32BE(0);
+        pending = pending.subarray(4);
+        if (record === 0) {
+          trailer = Buffer.alloc(0);
+          break;
+        }
+      }
+      if (pending.length < record + 4) break;
+
+      const data = pending.subarray(0, record);
+      if (state.strict && crc32(data) !== pending.readUInt32BE(record)) {
+        throw new Error(`Payload corrupted at byte ${position} (stream record ${records + 1} failed CRC32 check)`);
+      }
+      output.push(data);
+      records++;
+      position += record;
+      pending = pending.subarray(record + 4);
+      record = null;
+    }
+    if (trailer !== null) {
+      trailer = Buffer.concat([trailer, pending]);
+      pending = Buffer.alloc(0);
+    }
+    return Buffer.concat(output);
+  };
+
+  return createTransform(chunk => {
+    pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+    if (!header && !readHeader()) return null;
+    return header.streamed ? readRecords() : readPayload();
+  }, () => {
+    if (!header) {
+      throw new Error('Container header truncated: the stream ended inside the header');
+    }
+    if (header.streamed) {
+      if (trailer === null && state.strict) {
+        throw new Error('Payload truncated: the stream has no end record');
+      }
+      if (trailer !== null && state.checksum) {
+        state.checksum = Buffer.concat([state.checksum.subarray(0, 1), trailer]);
+      }
+    } else if (state.strict) {
+      if (position < payloadLength) {
+        throw new Error(`Payload truncated: expected ${payloadLength} bytes, found ${position}`);
+      }
+      if (trailing > 0) {
+        throw new Error(`Payload has ${trailing} unexpected trailing bytes`);
+      }
+      if (blocks && blocks.filled > 0) checkBlock();
+    }
+    return null;
+  });
+}
+
+// Brotli-decompresses the stored payload when the header says it is compressed
+function createInflater(state) {
+  let inflater = null;
+  return new stream.Transform({
+    transform(chunk, encoding, callback) {
+      if (!state.header.compressed) {
+        callback(null, chunk);
+        return;
+      }
+      if (!inflater) {
+        inflater = zlib.createBrotliDecompress();
+        inflater.on('data', data => this.push(data));
+        inflater.on('error', error => this.destroy(error));
+      }
+      inflater.write(chunk, () => callback());
+    },
+    flush(callback) {
+      if (!inflater) {
+        callback();
+        return;
+      }
+      inflater.on('end', () => callback());
+      inflater.end();
+    }
+  });
+}
+
+// Reads bytes from input and writes a streamed container as invisible text
+// to output. Options: scheme, compress (always Brotli, there is no size
+// comparison), checksum, fileName
+async function encodeStream(input, output, options = {}) {
+  const { scheme = 'binary', compress = false, checksum = 'crc32', fileName = null } = options;
+
+  if (!CHECKSUM_ALGORITHMS[checksum]) {
+    throw new Error(`Unknown checksum algorithm "${checksum}" (use crc32 or sha256)`);
+  }
+  if (!getScheme(scheme).symbols) {
+    throw new Error(`Streaming needs a scheme with a symbol alphabet ("${scheme}" only has encode/decode functions)`);
+  }
+
+  const state = { algorithm: checksum, hash: createChecksum(checksum), size: 0 };
+  let written = 0;
+  const header = buildContainer(Buffer.alloc(0), {
+    compressed: compress,
+    streamed: true,
+    fileName,
+    fields: [[CONTAINER.FIELDS.CHECKSUM, Buffer.from([CHECKSUM_ALGORITHMS[checksum].id])]]
+  });
+
+  await pipeline(
+    input,
+    createChecksumTap(state),
+    ...(compress ? [zlib.createBrotliCompress(BROTLI_OPTIONS)] : []),
+    createRecordWriter(header, state),
+    createSymbolEncoder(scheme),
+    createTransform(chunk => {
+      written += chunk.length;
+      return chunk;
+    }),
+    output
+  );
+
+  return { scheme, compressed: compress, size: state.size, written };
+}
+
+// Reads invisible text from input and writes the original bytes to output.
+// Streamed and ordinary containers are read; encrypted, signed, keyed,
+// error-corrected, split and shared payloads need decode().
+async function decodeStream(input, output, options = {}) {
+  const { verify = true } = options;
+  const state = { strict: verify, scheme: null, header: null, checksum: null, algorithm: 'crc32', hash: null, size: 0 };
+
+  await pipeline(
+    input,
+    createSymbolDecoder(state),
+    createContainerReader(state),
+    createInflater(state),
+    createChecksumTap(state),
+    output
+  );
+
+  const checksum = verify && state.checksum
+    ? checkDigest(state.checksum, (state.hash || createChecksum(state.algorithm)).digest())
+    : null;
+
+  return {
+    scheme: state.scheme,
+    fileName: state.header.fileName,
+    compressed: state.header.compressed,
+    streamed: state.header.streamed,
+    size: state.size,
+    checksum
+  };
+}
+
+// Whether the start of a file holds a container that decodeStream() reads
+function isStreamable(head) {
+  if (isRunnableFile(head)) return false;
+  const location = locateContainer(head);
+  if (!location || location.ecc || !location.scheme.symbols) return false;
+
+  const bytes = location.scheme.decode(head.slice(location.index), { strict: false });
+  if (bytes.length < CONTAINER.FIXED_SIZE || !bytes.subarray(0, CONTAINER.MAGIC.length).equals(CONTAINER.MAGIC)) {
+    return false;
+  }
+  const end = CONTAINER.FIXED_SIZE + bytes.readUInt16BE(9);
+  if (bytes.length < end) return false;
+
+  const header = parseContainer(bytes.subarray(0, end), { strict: false });
+  return !header.encrypted && !STREAM_UNSUPPORTED_FIELDS.some(type => header.fields.has(type));
+}
+
+// Missing or unreadable files are left to the normal read, which reports
+// them; the size of stdin is unknown, so it is only streamed on request
+function exceedsStreamThreshold(file) {
+  if (file === STDIO || !fs.existsSync(file)) return false;
+  try {
+    return fs.statSync(file).size > STREAM_THRESHOLD;
+  } catch (_err) { // eslint-disable-line no-unused-vars
+    return false;
+  }
+}
+
+function readHead(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const buffer = Buffer.alloc(STREAM_HEAD_SIZE);
+    return buffer.subarray(0, fs.readSync(fd, buffer, 0, buffer.length, 0)).toString('utf8');
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// ==================== STANDARD STREAMS ====================
+
+// "-" reads stdin or writes stdout instead of a file. Stdin is read once and
+// kept, as extract checks its input before decoding it.
+const STDIO = '-';
+let stdinBuffer = null;
+
+function readInput(file, encoding = null) {
+  if (file !== STDIO) return fs.readFileSync(file, encoding);
+  if (stdinBuffer === null) stdinBuffer = fs.readFileSync(0);
+  return encoding ? stdinBuffer.toString(encoding) : stdinBuffer;
+}
+
+function writeOutput(file, data, options) {
+  if (file === STDIO) {
+    process.stdout.write(data);
+  } else {
+    fs.writeFileSync(file, data, options);
+  }
+}
+
+function inputStream(file) {
+  return file === STDIO ? process.stdin : fs.createReadStream(file);
+}
+
+function outputStream(file) {
+  return file === STDIO ? process.stdout : fs.createWriteStream(file);
+}
+
+// Bytes written to a file or to stdout
+function outputSize(file, data) {
+  return file === STDIO ? Buffer.byteLength(data) : fs.statSync(file).size;
+}
+
+// Names for summary lines and the file name recorded in headers
+function inputName(file) {
+  return file === STDIO ? 'stdin' : file;
+}
+
+function outputName(file) {
+  return file === STDIO ? 'stdout' : file;
+}
+
+function recordedName(file) {
+  return file === STDIO ? null : path.basename(file);
+}
+
+function checkSingleStdin(...files) {
+  if (files.filter(file => file === STDIO).length > 1) {
+    throw new Error('Only one input can be read from stdin ("-")');
+  }
+}
+
+// ==================== ANALYSIS FUNCTIONS ====================
+
+// Code points of visible text shown on each side of a hidden character
+const CONTEXT_RADIUS = 10;
+
+// Characters that Intl.Segmenter keeps in the cluster of the character
+// before them (Node 14 has no Intl.Segmenter)
+const GRAPHEME_EXTEND = /^[\p{M}\u200C\u200D\uFE00-\uFE0F\u{1F3FB}-\u{1F3FF}\u{E0020}-\u{E007F}\u{E0100}-\u{E01EF}]$/u;
+const EXTENDED_PICTOGRAPHIC = /^\p{Extended_Pictographic}$/u;
+
+// V8 copies the segmented string into every segment it returns, so long
+// lines are segmented in pieces cut where a cluster always starts: before
+// printable ASCII or a Zero Width Space
+const GRAPHEME_CHUNK = 256;
+const CLUSTER_START = /[\x20-\x7E\u200B]/;
+
+// UTF-16 offsets where the grapheme clusters of a text start. Without
+// Intl.Segmenter, marks, joiners, variation selectors, tags and skin tones
+// extend the previous cluster and ZWJ joins emoji, which covers the
+// clusters that hidden characters take part in.
+function graphemeStarts(line) {
+  if (typeof Intl.Segmenter === 'function') {
+    const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+    const starts = [];
+    let offset = 0;
+    while (offset < line.length) {
+      let end = Math.min(line.length, offset + GRAPHEME_CHUNK);
+      while (end < line.length && !CLUSTER_START.test(line[end])) end++;
+      for (const { index } of segmenter.segment(line.slice(offset, end))) {
+        starts.push(offset + index);
+      }
+      offset = end;
+    }
+    return starts;
+  }
+
+  const starts = [];
+  let previous = '';
+  let i = 0;
+  for (const char of line) {
+    const joined = GRAPHEME_EXTEND.test(char) ||
+      (previous === '\u200D' && EXTENDED_PICTOGRAPHIC.test(char)) ||
+      (previous === '\r' && char === '\n');
+    if (i === 0 || !joined) starts.push(i);
+    previous = char;
+    i += char.length;
+  }
+  return starts;
+}
+
+// Short name of an invisible character for context snippets: the dictionary
+// key (ZWSP, RLO...), VS1 to VS256, or its U+ label
+function invisibleAbbreviation(char) {
+  const codePoint = char.codePointAt(0);
+  const key = Object.keys(invisibleChars.dictionary).find(k => invisibleChars.dictionary[k].code === codePoint);
+  if (key) return key;
+  const selector = /^Variation Selector-(\d+)$/.exec(describeInvisible(codePoint).name);
+  return selector ? `VS${selector[1]}` : codePointLabel(char);
+}
+
+// The text around a UTF-16 offset, limited to its line, with every hidden
+// character rendered as <ZWSP>. rendered caches the rendering of each
+// character for one analysis.
+function invisibleContext(text, position, lineStart, rendered) {
+  const pairAt = i => (text.charCodeAt(i) & 0xFC00) === 0xD800 && (text.charCodeAt(i + 1) & 0xFC00) === 0xDC00;
+
+  // Whole code points: CONTEXT_RADIUS before the character, the character
+  // and CONTEXT_RADIUS after it, without leaving the line
+  let start = position;
+  for (let n = 0; n < CONTEXT_RADIUS && start > lineStart; n++) {
+    start -= start - 2 >= lineStart && pairAt(start - 2) ? 2 : 1;
+  }
+  // Do not start with marks cut off from their letter
+  while (start < position && /\p{M}/u.test(text[start])) start++;
+  let end = position;
+  for (let n = 0; n <= CONTEXT_RADIUS && end < text.length && text[end] !== '\n' && text[end] !== '\r'; n++) {
+    end += pairAt(end) ? 2 : 1;
+  }
+
+  const context = [];
+  for (const char of text.slice(start, end)) {
+    let shown = rendered.get(char);
+    if (shown === undefined) {
+      shown = describeInvisible(char.codePointAt(0)) ? `<${invisibleAbbreviation(char)}>` : char;
+      rendered.set(char, shown);
+    }
+    context.push(shown);
+  }
+  return context.join('');
+}
+
+// Every position carries its UTF-16 offset (position, for slicing strings)
+// and the coordinates an editor shows: 1-based line, column in code points,
+// graphemeColumn in grapheme clusters, byteOffset in UTF-8, and a context
+// snippet with the hidden characters made visible. language is 'code' or
+// 'prose' (see inputLanguage)
+function analyzeInvisibles(text, options = {}) {
+  const { language = 'code' } = options;
+  const result = {
+    length: text.length,
+    hasInvisibles: false,
+    invisibleCount: 0,
+    found: [],
+    // Occurrences per entry of found
+    counts: {},
+    positions: [],
+    // Readable text hidden in Unicode tag characters ("ASCII smuggling")
+    smuggledText: findTagRuns(text)
+      .filter(run => !run.emojiFlag)
+      .map(run => ({ position: run.index, text: run.text })),
+    // Encoded payloads found by the registered schemes
+    payloads: [...SCHEMES.values()]
+      .flatMap(scheme => [
+        { scheme: scheme.name, position: scheme.detect(text), ecc: false },
+        { scheme: scheme.name, position: scheme.symbols ? findEccFrame(text, scheme) : -1, ecc: true }
+      ])
+      .filter(payload => payload.position >= 0),
+    // Bidi controls that reorder the displayed text ("Trojan Source")
+    bidi: analyzeBidi(text, { language }),
+    // Homoglyphs: mixed-script and lookalike words
+    confusables: analyzeConfusables(text, { language })
+  };
+
+  // Walk code points so astral characters (U+E0100...) are seen whole,
+  // counting lines, columns and UTF-8 bytes on the way
+  const lineStarts = [];
+  const rendered = new Map();
+  let i = 0;
+  let line = 1;
+  let column = 1;
+  let byteOffset = 0;
+  let lineStart = 0;
+  for (const char of text) {
+    const codePoint = char.codePointAt(0);
+    const charInfo = describeInvisible(codePoint);
+    if (charInfo) {
+      result.hasInvisibles = true;
+      result.invisibleCount++;
+      result.positions.push({
+        position: i,
+        line,
+        column,
+        graphemeColumn: column,
+        byteOffset,
+        char: charInfo.name,
+        unicode: charInfo.unicode,
+        codePoint,
+        context: invisibleContext(text, i, lineStart, rendered)
+      });
+      lineStarts.push(lineStart);
+      if (!result.found.includes(charInfo.group)) {
+        result.found.push(charInfo.group);
+      }
+      result.counts[charInfo.group] = (result.counts[charInfo.group] || 0) + 1;
+    }
+
+    i += char.length;
+    byteOffset += codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+    if (char === '\n') {
+      line++;
+      column = 1;
+      lineStart = i;
+    } else {
+      column++;
+    }
+  }
+
+  // Grapheme columns: segment each line that has findings once
+  let starts = [];
+  result.positions.forEach((pos, index) => {
+    const start = lineStarts[index];
+    if (index === 0 || start !== lineStarts[index - 1]) {
+      const end = text.indexOf('\n', start);
+      starts = graphemeStarts(text.slice(start, end === -1 ? text.length : end));
+    }
+    // Clusters that start at or before the character
+    let low = 0;
+    let high = starts.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (starts[mid] <= pos.position - start) low = mid + 1;
+      else high = mid;
+    }
+    pos.graphemeColumn = low;
+  });
+
+  return result;
+}
+
+// Returns a function that gives the 1-based line and column (in code
+// points) of a UTF-16 offset of text. The line starts are found once, so
+// locating many offsets stays linear.
+function lineLocator(text) {
+  const lineStarts = [0];
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+    lineStarts.push(i + 1);
+  }
+
+  return position => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= position) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: Array.from(text.slice(lineStarts[low], position)).length + 1 };
+  };
+}
+
+function removeInvisibles(text) {
+  const cleaned = text.replace(/[\u00AD\u034F\u061C\u070F\u115F\u1160\u17B4\u17B5\u180B-\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u206F\u3164\uFE00-\uFE0F\uFEFF\uFFA0\uFFF9-\uFFFC\u00A0\u1680\u2000-\u200A\u202F\u205F\u3000\u{E0000}-\u{E007F}\u{E0100}-\u{E01EF}]/gu, '');
+  if (SCHEME_SYMBOLS.size === 0) return cleaned;
+
+  // Symbols of registered schemes that the list above does not cover
+  return Array.from(cleaned).filter(char => !SCHEME_SYMBOLS.has(char)).join('');
+}
+
+// ==================== TROJAN SOURCE ====================
+
+// Explicit bidi formatting characters (CVE-2021-42574, "Trojan Source").
+// Embeddings and overrides stay open until PDF, isolates until PDI, and the
+// Unicode Bidirectional Algorithm closes whatever is still open at the end of
+// the paragraph, which for source code is the end of the line.
+const BIDI = {
+  LRE: 0x202A,
+  RLE: 0x202B,
+  PDF: 0x202C,
+  LRO: 0x202D,
+  RLO: 0x202E,
+  LRI: 0x2066,
+  RLI: 0x2067,
+  FSI: 0x2068,
+  PDI: 0x2069,
+  LRM: 0x200E,
+  RLM: 0x200F,
+  ALM: 0x061C
+};
+const BIDI_EMBEDDINGS = [BIDI.LRE, BIDI.RLE, BIDI.LRO, BIDI.RLO];
+const BIDI_ISOLATES = [BIDI.LRI, BIDI.RLI, BIDI.FSI];
+const BIDI_MARKS = [BIDI.LRM, BIDI.RLM, BIDI.ALM];
+const BIDI_ANY = /[\u061C\u200E\u200F\u202A-\u202E\u2066-\u2069]/u;
+const RTL_LETTERS = /[\p{Script=Hebrew}\p{Script=Arabic}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}\p{Script=Samaritan}\p{Script=Mandaic}\p{Script=Adlam}]/u;
+
+const BIDI_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// Prose has no strings, comments or code: balanced controls there are
+// ordinary right-to-left text, and only these rules apply
+const PROSE_BIDI_RULES = ['bidi-unterminated', 'bidi-reordered-line'];
+const PROSE_EXTENSIONS = ['.txt', '.text', '.md', '.markdown', '.rst', '.adoc', '.asciidoc', '.org', '.csv', '.tsv', '.srt', '.vtt'];
+
+// Finding kinds reported by analyzeBidi(), with their severity
+const BIDI_RULES = {
+  'bidi-unterminated': { severity: 'critical', description: 'Embedding, override or isolate left open at the end of the line' },
+  'bidi-token-escape': { severity: 'critical', description: 'Bidi control opened inside a string or comment and closed outside it' },
+  'bidi-reordered-line': { severity: 'high', description: 'Bidi controls change the display order of the line' },
+  'bidi-in-code': { severity: 'high', description: 'Bidi control outside strings and comments' },
+  'bidi-in-literal': { severity: 'medium', description: 'Balanced bidi controls inside a string or comment' },
+  'bidi-unmatched-close': { severity: 'low', description: 'PDF or PDI that closes nothing' },
+  'bidi-mark': { severity: 'low', description: 'Directional mark (LRM, RLM or ALM)' }
+};
+
+// Marks each UTF-16 offset of source code as code (0) or as part of the
+// string literal or comment numbered n, whose kind is kinds[n]. Knows //,
+// /* */ and "# " comments, '...', "...", `...` and triple-quoted strings:
+// enough for C-family languages, JavaScript, Python and shell scripts.
+function lexLiterals(text) {
+  const tokens = new Uint32Array(text.length);
+  const kinds = [null];
+
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    const next = text[i + 1];
+    let end = -1;
+    let kind = 'comment';
+
+    if ((char === '/' && next === '/') ||
+      (char === '#' && (i === 0 || /\s/.test(text[i - 1])) && (next === undefined || /[\s!]/.test(next)))) {
+      end = text.indexOf('\n', i);
+      if (end === -1) end = text.length;
+    } else if (char === '/' && next === '*') {
+      end = text.indexOf('*/', i + 2);
+      end = end === -1 ? text.length : end + 2;
+    } else if ((char === '"' || char === '\'') && text.startsWith(char.repeat(3), i)) {
+      end = text.indexOf(char.repeat(3), i + 3);
+      end = end === -1 ? text.length : end + 3;
+      kind = 'string';
+    } else if (char === '"' || char === '\'' || char === '`') {
+      end = i + 1;
+      while (end < text.length && text[end] !== char && (char === '`' || text[end] !== '\n')) {
+        end += text[end] === '\\' ? 2 : 1;
+      }
+      end = text[end] === char ? end + 1 : Math.min(end, text.length);
+      kind = 'string';
+    }
+
+    if (end === -1) {
+      i++;
+    } else {
+      kinds.push(kind);
+      tokens.fill(kinds.length - 1, i, end);
+      i = end;
+    }
+  }
+
+  return { tokens, kinds };
+}
+
+// Bidi class for the display order check: strong L or R, number (EN),
+// non-spacing mark (NSM) or neutral (N)
+function bidiClass(codePoint) {
+  if (codePoint === BIDI.LRM) return 'L';
+  if (codePoint === BIDI.RLM || codePoint === BIDI.ALM) return 'R';
+  const char = String.fromCodePoint(codePoint);
+  if (RTL_LETTERS.test(char)) return 'R';
+  if (/\p{Nd}/u.test(char)) return 'EN';
+  if (/\p{M}/u.test(char)) return 'NSM';
+  return /\p{L}/u.test(char) ? 'L' : 'N';
+}
+
+// Direction of the first strong character up to the PDI matching the FSI
+// just before from, skipping nested isolates
+function firstStrong(codePoints, from) {
+  let depth = 0;
+  for (let i = from; i < codePoints.length; i++) {
+    const codePoint = codePoints[i];
+    if (BIDI_ISOLATES.includes(codePoint)) {
+      depth++;
+    } else if (codePoint === BIDI.PDI) {
+      if (depth === 0) break;
+      depth--;
+    } else if (depth === 0) {
+      const type = bidiClass(codePoint);
+      if (type === 'L' || type === 'R') return type;
+    }
+  }
+  return 'L';
+}
+
+// Display order of one line as indices into its code points, following a
+// simplified Unicode Bidirectional Algorithm for a left-to-right paragraph
+// (as in code editors): explicit levels (X1-X10), numbers and neutrals
+// resolved within level runs, implicit levels (I1-I2) and reversal (L2).
+// Embeddings, overrides and PDF are dropped, as renderers do.
+function bidiDisplayOrder(codePoints) {
+  const levels = [];
+  const types = [];
+  const stack = [{ level: 0, override: null, isolate: false }];
+  const nextLevel = (level, rtl) => rtl ? (level + 1) | 1 : (level + 2) & ~1;
+
+  codePoints.forEach((codePoint, index) => {
+    const top = stack[stack.length - 1];
+    if (BIDI_EMBEDDINGS.includes(codePoint)) {
+      const rtl = codePoint === BIDI.RLE || codePoint === BIDI.RLO;
+      const override = codePoint === BIDI.LRO ? 'L' : (codePoint === BIDI.RLO ? 'R' : null);
+      if (nextLevel(top.level, rtl) <= 125) {
+        stack.push({ level: nextLevel(top.level, rtl), override, isolate: false });
+      }
+      levels.push(null);
+      types.push(null);
+    } else if (codePoint === BIDI.PDF) {
+      if (stack.length > 1 && !top.isolate) stack.pop();
+      levels.push(null);
+      types.push(null);
+    } else if (BIDI_ISOLATES.includes(codePoint)) {
+      levels.push(top.level);
+      types.push(top.override || 'N');
+      const rtl = codePoint === BIDI.RLI || (codePoint === BIDI.FSI && firstStrong(codePoints, index + 1) === 'R');
+      stack.push({ level: nextLevel(top.level, rtl), override: null, isolate: true });
+    } else if (codePoint === BIDI.PDI) {
+      let open = stack.length - 1;
+      while (open > 0 && !stack[open].isolate) open--;
+      if (open > 0) stack.length = open;
+      const outer = stack[stack.length - 1];
+      levels.push(outer.level);
+      types.push(outer.override || 'N');
+    } else {
+      levels.push(top.level);
+      types.push(top.override || bidiClass(codePoint));
+    }
+  });
+
+  const kept = levels.map((level, index) => index).filter(index => levels[index] !== null);
+
+  // Runs of kept characters at one explicit level
+  const runs = [];
+  for (const index of kept) {
+    const run = runs[runs.length - 1];
+    if (run && levels[run[run.length - 1]] === levels[index]) {
+      run.push(index);
+    } else {
+      runs.push([index]);
+    }
+  }
+
+  const resolved = levels.slice();
+  for (const run of runs) {
+    const level = levels[run[0]];
+    const embedding = level % 2 ? 'R' : 'L';
+
+    // W1 (marks take the previous type) and W7 (numbers after L are L)
+    let previous = embedding;
+    let strong = embedding;
+    for (const index of run) {
+      if (types[index] === 'NSM') types[index] = previous;
+      if (types[index] === 'L' || types[index] === 'R') strong = types[index];
+      if (types[index] === 'EN' && strong === 'L') types[index] = 'L';
+      previous = types[index];
+    }
+
+    // N1-N2: neutrals between the same direction take it (numbers count
+    // as R), others the embedding direction
+    const direction = index => types[index] === 'EN' ? 'R' : types[index];
+    for (let start = 0; start < run.length; start++) {
+      if (types[run[start]] !== 'N') continue;
+      let end = start;
+      while (end + 1 < run.length && types[run[end + 1]] === 'N') end++;
+      const before = start > 0 ? direction(run[start - 1]) : embedding;
+      const after = end + 1 < run.length ? direction(run[end + 1]) : embedding;
+      for (let k = start; k <= end; k++) {
+        types[run[k]] = before === after ? before : embedding;
+      }
+      start = end;
+    }
+
+    // I1-I2
+    for (const index of run) {
+      const type = types[index];
+      if (level % 2 === 0) {
+        resolved[index] = level + (type === 'R' ? 1 : type === 'EN' ? 2 : 0);
+      } else {
+        resolved[index] = level + (type === 'L' || type === 'EN' ? 1 : 0);
+      }
+    }
+  }
+
+  // L2: from the highest level down to the lowest odd one, reverse every
+  // sequence at that level or above
+  const order = kept.slice();
+  const orderLevels = order.map(index => resolved[index]);
+  const highest = Math.max(0, ...orderLevels);
+  const lowestOdd = Math.min(...orderLevels.filter(level => level % 2 === 1), highest + 1);
+  for (let level = highest; level >= lowestOdd; level--) {
+    for (let start = 0; start < order.length; start++) {
+      if (orderLevels[start] < level) continue;
+      let end = start;
+      while (end + 1 < order.length && orderLevels[end + 1] >= level) end++;
+      order.splice(start, end - start + 1, ...order.slice(start, end + 1).reverse());
+      orderLevels.splice(start, end - start + 1, ...orderLevels.slice(start, end + 1).reverse());
+      start = end;
+    }
+  }
+
+  return order;
+}
+
+// True for the explicit controls and marks analyzeBidi() reports
+function isBidiControl(codePoint) {
+  return BIDI_EMBEDDINGS.includes(codePoint) || BIDI_ISOLATES.includes(codePoint) ||
+    codePoint === BIDI.PDF || codePoint === BIDI.PDI || BIDI_MARKS.includes(codePoint);
+}
+
+// Finds bidi controls that can make source code display differently from
+// how it is compiled: controls left open at the end of a line, opened in a
+// string or comment and closed outside it, used in code, and lines whose
+// display order they change. Returns findings ({ rule, severity, line,
+// column, position, char, unicode, context, message }), most severe first;
+// columns count code points from 1. With language 'prose' the text is not
+// split into code, strings and comments, and only PROSE_BIDI_RULES apply.
+function analyzeBidi(text, options = {}) {
+  const { language = 'code' } = options;
+  let findings = [];
+  if (!BIDI_ANY.test(text)) return findings;
+
+  const prose = language === 'prose';
+  const { tokens, kinds } = prose ? { tokens: new Uint32Array(text.length), kinds: [null] } : lexLiterals(text);
+  const contextOf = position => (prose ? 'prose' : kinds[tokens[position]] || 'code');
+
+  let lineStart = 0;
+  text.split('\n').forEach((line, lineIndex) => {
+    if (BIDI_ANY.test(line)) {
+      analyzeBidiLine(line, lineStart, lineIndex + 1, { tokens, contextOf, findings });
+    }
+    lineStart += line.length + 1;
+  });
+
+  if (prose) findings = findings.filter(finding => PROSE_BIDI_RULES.includes(finding.rule));
+  return findings.sort((a, b) =>
+    BIDI_SEVERITIES.indexOf(b.severity) - BIDI_SEVERITIES.indexOf(a.severity) || a.position - b.position);
+}
+
+function analyzeBidiLine(line, lineStart, lineNumber, { tokens, contextOf, findings }) {
+  const codePoints = Array.from(line, char => char.codePointAt(0));
+  const add = (rule, entry, message, extra = {}) => {
+    const { name, unicode } = describeInvisible(entry.codePoint);
+    findings.push({
+      rule,
+      severity: BIDI_RULES[rule].severity,
+      line: lineNumber,
+      column: entry.column,
+      position: entry.position,
+      char: name,
+      unicode,
+      context: contextOf(entry.position),
+      message: message.replace('%s', name),
+      ...extra
+    });
+  };
+
+  // Openers still in effect, innermost last
+  const open = [];
+  const close = (opener, closer) => {
+    if (tokens[opener.position] !== tokens[closer.position] && contextOf(opener.position) !== 'code') {
+      add('bidi-token-escape', opener, `%s opens inside a ${contextOf(opener.position)} and is closed outside it, reordering the code around it`);
+    } else if (contextOf(opener.position) !== 'code') {
+      add('bidi-in-literal', opener, `%s inside a ${contextOf(opener.position)}`);
+    }
+  };
+
+  let position = lineStart;
+  codePoints.forEach((codePoint, index) => {
+    const entry = { codePoint, column: index + 1, position };
+    position += codePoint > 0xFFFF ? 2 : 1;
+    if (!isBidiControl(codePoint)) return;
+
+    const inCode = contextOf(entry.position) === 'code';
+    if (BIDI_MARKS.includes(codePoint)) {
+      add('bidi-mark', entry, '%s changes the direction of the characters around it');
+    } else if (BIDI_EMBEDDINGS.includes(codePoint) || BIDI_ISOLATES.includes(codePoint)) {
+      if (inCode) add('bidi-in-code', entry, '%s in code, outside strings and comments');
+      open.push({ ...entry, isolate: BIDI_ISOLATES.includes(codePoint) });
+    } else if (codePoint === BIDI.PDF) {
+      if (open.length > 0 && !open[open.length - 1].isolate) {
+        close(open.pop(), entry);
+      } else {
+        add('bidi-unmatched-close', entry, '%s closes nothing');
+      }
+    } else {
+      let isolate = open.length - 1;
+      while (isolate >= 0 && !open[isolate].isolate) isolate--;
+      if (isolate >= 0) {
+        open.splice(isolate).forEach(opener => close(opener, entry));
+      } else {
+        add('bidi-unmatched-close', entry, '%s closes nothing');
+      }
+    }
+  });
+
+  for (const opener of open) {
+    add('bidi-unterminated', opener, '%s is never closed on this line: the rest of the line is displayed reordered');
+  }
+
+  // Compare the display order with the one the line would have without
+  // the controls
+  const visible = codePoints.map((codePoint, index) => index).filter(index => !isBidiControl(codePoints[index]));
+  const shown = bidiDisplayOrder(codePoints).filter(index => !isBidiControl(codePoints[index]));
+  const plain = bidiDisplayOrder(visible.map(index => codePoints[index])).map(index => visible[index]);
+  if (shown.some((index, k) => index !== plain[k])) {
+    const display = shown.map(index => String.fromCodePoint(codePoints[index])).join('');
+    findings.push({
+      rule: 'bidi-reordered-line',
+      severity: BIDI_RULES['bidi-reordered-line'].severity,
+      line: lineNumber,
+      column: 1,
+      position: lineStart,
+      char: null,
+      unicode: null,
+      context: contextOf(lineStart),
+      message: `Line is displayed as ${JSON.stringify(display)}`,
+      display
+    });
+  }
+}
+
+// Highest severity among bidi findings, or null
+function bidiSeverity(findings) {
+  return findings.reduce((highest, { severity }) =>
+    highest === null || BIDI_SEVERITIES.indexOf(severity) > BIDI_SEVERITIES.indexOf(highest) ? severity : highest, null);
+}
+
+// How analyze and scan read a file: the language given (--language), else
+// 'prose' for text and Markdown extensions and 'code' for everything else,
+// stdin included
+function inputLanguage(file, language = null) {
+  if (language !== null) {
+    if (!['code', 'prose'].includes(language)) {
+      throw new Error(`Unknown language "${language}" (use code or prose)`);
+    }
+    return language;
+  }
+  return file !== STDIO && PROSE_EXTENSIONS.includes(path.extname(file).toLowerCase()) ? 'prose' : 'code';
+}
+
+// ==================== CONFUSABLES ====================
+
+// Unicode's confusables.txt (UTS #39), shipped next to this script and read
+// the first time a non-ASCII word needs a skeleton. Its header records the
+// Unicode version and terms of use.
+const CONFUSABLES_FILE = path.join(__dirname, 'data', 'confusables.txt');
+const NON_ASCII = /[^\p{ASCII}]/u;
+let confusables = null;
+
+// Reads the "source ; prototype ; type" lines of CONFUSABLES_FILE into a map
+// from each source character to its prototype, and a regex matching the
+// ASCII characters that have one (0, 1, I, m...): only ASCII words holding
+// one of them have a skeleton different from the word
+function loadConfusables() {
+  if (confusables !== null) return confusables;
+
+  let text;
+  try {
+    text = fs.readFileSync(CONFUSABLES_FILE, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read the confusables data (${CONFUSABLES_FILE}): ${error.message}`);
+  }
+
+  const fromHex = field => String.fromCodePoint(...field.trim().split(/\s+/).map(hex => parseInt(hex, 16)));
+  const prototypes = new Map();
+  for (const line of text.split('\n')) {
+    const fields = line.replace(/#.*/, '').split(';');
+    if (fields.length < 3) continue;
+    prototypes.set(fromHex(fields[0]), fromHex(fields[1]));
+  }
+
+  const ascii = [...prototypes.keys()].filter(char => !NON_ASCII.test(char));
+  confusables = { prototypes, ascii: new RegExp(`[${ascii.map(char => char.replace(/[\\\]^-]/g, '\\$&')).join('')}]`) };
+  return confusables;
+}
+
+// Scripts told apart by the mixed-script check; other letters count as
+// their own script and Common/Inherited characters (digits, marks, "_")
+// as none. Han mixed with kana or Hangul is normal Japanese or Korean.
+const CONFUSABLE_SCRIPTS = ['Latin', 'Cyrillic', 'Greek', 'Armenian', 'Georgian', 'Cherokee', 'Lisu', 'Coptic',
+  'Hebrew', 'Arabic', 'Han', 'Hiragana', 'Katakana', 'Hangul', 'Bopomofo']
+  .map(name => ({ name, regex: new RegExp(`\\p{Script=${name}}`, 'u') }));
+const CJK_SCRIPTS = ['Han', 'Hiragana', 'Katakana', 'Hangul', 'Bopomofo'];
+
+const CONFUSABLE_RULES = {
+  'mixed-script': { severity: 'high', description: 'Word mixing letters of several scripts' },
+  'confusable-identifiers': { severity: 'high', description: 'Word that looks like another word in the text' },
+  'whole-script-confusable': { severity: 'medium', description: 'Non-Latin identifier in code that looks like Latin text' }
+};
+
+// Only high-severity confusables change the exit code; whole-script
+// lookalikes (medium) are reported and nothing more
+function isFailingConfusable(finding) {
+  return finding.severity === 'high';
+}
+
+// UTS #39 skeleton: NFD, every character replaced by its prototype, NFD
+// again. Two strings that look alike have the same skeleton.
+function skeleton(text) {
+  const { prototypes } = loadConfusables();
+  return Array.from(text.normalize('NFD'), char => prototypes.get(char) || char).join('').normalize('NFD');
+}
+
+function scriptOf(char) {
+  if (!/\p{L}/u.test(char)) return null;
+  const script = CONFUSABLE_SCRIPTS.find(({ regex }) => regex.test(char));
+  return script ? script.name : 'Other';
+}
+
+// Flags words (identifier-like runs of letters, digits, "_" and "$") that
+// mix scripts, non-ASCII words that look like another word of the text, and
+// non-Latin identifiers whose skeleton is plain ASCII. The last rule needs
+// code: it skips strings and comments, and the whole text when language is
+// 'prose', so ordinary Russian or Greek sentences are not reported. Returns
+// findings ({ rule, severity, token, skeleton, scripts, line, column,
+// position, message }, plus similarTo for lookalike pairs) in text order.
+function analyzeConfusables(text, options = {}) {
+  const { language = 'code' } = options;
+  const findings = [];
+  const words = [];
+  const seen = new Map();
+  const locate = lineLocator(text);
+  // Strings and comments are only lexed when a word needs it
+  let literals = null;
+  const inCode = position => {
+    if (language === 'prose') return false;
+    if (!literals) literals = lexLiterals(text).tokens;
+    return literals[position] === 0;
+  };
+
+  // Plain ASCII text has no lookalikes to find, and needs no confusables data
+  if (!NON_ASCII.test(text)) return findings;
+
+  const { ascii } = loadConfusables();
+  for (const match of text.matchAll(/[\p{L}\p{M}\p{Nd}_$]+/gu)) {
+    const token = match[0];
+    if (!NON_ASCII.test(token)) {
+      const key = ascii.test(token) ? skeleton(token) : token;
+      if (!seen.has(key)) seen.set(key, { token, position: match.index });
+      continue;
+    }
+    const scripts = [...new Set(Array.from(token, scriptOf).filter(Boolean))];
+    words.push({ token, position: match.index, scripts, skeleton: skeleton(token) });
+  }
+
+  for (const word of words) {
+    const { token, position, scripts } = word;
+    const entry = { token, skeleton: word.skeleton, scripts, ...locate(position), position };
+    const mixed = scripts.length > 1 && !scripts.every(script => CJK_SCRIPTS.includes(script));
+
+    if (mixed) {
+      findings.push({
+        rule: 'mixed-script',
+        severity: CONFUSABLE_RULES['mixed-script'].severity,
+        ...entry,
+        message: `"${token}" mixes ${scripts.join(' and ')} letters (skeleton "${word.skeleton}")`
+      });
+    }
+
+    const original = seen.get(word.skeleton);
+    if (original && original.token !== token) {
+      findings.push({
+        rule: 'confusable-identifiers',
+        severity: CONFUSABLE_RULES['confusable-identifiers'].severity,
+        ...entry,
+        similarTo: { token: original.token, ...locate(original.position), position: original.position },
+        message: `"${token}" looks like "${original.token}" (skeleton "${word.skeleton}")`
+      });
+    } else if (!mixed && !scripts.includes('Latin') && !NON_ASCII.test(word.skeleton) && /[A-Za-z]/.test(word.skeleton) && inCode(position)) {
+      findings.push({
+        rule: 'whole-script-confusable',
+        severity: CONFUSABLE_RULES['whole-script-confusable'].severity,
+        ...entry,
+        message: `${scripts.join(' and ')} "${token}" looks like the Latin "${word.skeleton}"`
+      });
+    }
+
+    if (!seen.has(word.skeleton)) seen.set(word.skeleton, { token, position });
+  }
+
+  return findings;
+}
+
+// ==================== COVER TEXT ====================
+
+// Where embed puts the payload in a cover document:
+//   all         - everything after the first word
+//   spread      - split evenly between the words of the whole document
+//   punctuation - split evenly after punctuation marks only
+// Insertion points are segment boundaries, so no grapheme cluster (emoji
+// sequence, letter with combining marks) is ever split.
+const EMBED_STRATEGIES = {
+  all: 'all at once, after the first word',
+  spread: 'spread evenly between words',
+  punctuation: 'spread evenly after punctuation'
+};
+
+const PUNCTUATION = /^[.,;:!?…。，、；：！？]$/u;
+
+// Words when Intl.Segmenter is missing (Node 14): letters, digits and marks,
+// joined by the apostrophes, periods and colons it keeps inside words
+const WORD_FALLBACK = /[\p{L}\p{N}\p{M}_]+(?:[.:'’][\p{L}\p{N}\p{M}_]+)*/gu;
+
+// Explicit bidi controls would reorder the visible cover text around them
+const BIDI_CONTROLS = /[\u202A-\u202E\u2066-\u2069]/u;
+
+// UTF-16 offsets where invisible characters can be inserted
+function insertionPoints(cover, strategy) {
+  if (!EMBED_STRATEGIES[strategy]) {
+    throw new Error(`Unknown strategy "${strategy}" (use ${Object.keys(EMBED_STRATEGIES).join(', ')})`);
+  }
+
+  const points = [];
+  if (strategy === 'punctuation') {
+    const starts = graphemeStarts(cover);
+    starts.forEach((start, index) => {
+      const end = index + 1 < starts.length ? starts[index + 1] : cover.length;
+      if (PUNCTUATION.test(cover.slice(start, end))) points.push(end);
+    });
+  } else if (typeof Intl.Segmenter === 'function') {
+    for (const { segment, index, isWordLike } of new Intl.Segmenter(undefined, { granularity: 'word' }).segment(cover)) {
+      if (isWordLike) points.push(index + segment.length);
+    }
+  } else {
+    for (const match of cover.matchAll(WORD_FALLBACK)) {
+      points.push(match.index + match[0].length);
+    }
+  }
+
+  return strategy === 'all' ? points.slice(0, 1) : points;
+}
+
+// Why a scheme cannot be embedded in a cover (characters it would read as its
+// own, or a bidi reordering), or null
+function coverProblem(cover, scheme) {
+  const { name, symbols, marker } = getAlphabet(scheme);
+  const used = new Set([...symbols, ...marker]);
+  const clashes = [...new Set(Array.from(cover).filter(char => used.has(char)))];
+  if (clashes.length > 0) {
+    return `The cover text already contains ${clashes.map(codePointLabel).join(', ')} used by the ${name} scheme (clean it first or pick another --scheme)`;
+  }
+  if (symbols.some(symbol => BIDI_CONTROLS.test(symbol))) {
+    return `The ${name} scheme uses bidi controls that would reorder the cover text (use base8 or another scheme)`;
+  }
+  return null;
+}
+
+function checkCover(cover, scheme) {
+  const problem = coverProblem(cover, scheme);
+  if (problem) throw new Error(problem);
+}
+
+// Inserts the encoded payload at the strategy's insertion points. The first
+// chunk always holds the header marker and the start of the magic, so decode
+// finds the payload; the cover text itself is never changed.
+function embedInCover(cover, encoded, scheme, strategy) {
+  checkCover(cover, scheme);
+  const points = insertionPoints(cover, strategy);
+  if (points.length === 0) {
+    throw new Error(`The cover text has no insertion points for the ${strategy} strategy`);
+  }
+
+  const { bits, marker } = getAlphabet(scheme);
+  const chars = Array.from(encoded);
+  const lead = Array.from(marker).length + Math.ceil(CONTAINER.MAGIC.length * 8 / bits);
+  const body = chars.length - lead;
+  const count = Math.min(points.length, body);
+
+  let result = '';
+  let last = 0;
+  for (let k = 0; k < count; k++) {
+    const point = points[Math.floor(k * points.length / count)];
+    const chunk = chars.slice(k === 0 ? 0 : lead + Math.floor(k * body / count), lead + Math.floor((k + 1) * body / count));
+    result += cover.slice(last, point) + chunk.join('');
+    last = point;
+  }
+
+  return { text: result + cover.slice(last), points: count };
+}
+
+// Characters an alphabet scheme writes for an unencrypted container of
+// payloadLength bytes
+function encodedLength(payloadLength, scheme, options = {}) {
+  const { fileName = null, checksum = 'crc32' } = options;
+  const { bits, marker } = getAlphabet(scheme);
+  const payload = Buffer.alloc(payloadLength);
+  const bytes = buildContainer(payload, { fileName, fields: integrityFields(payload, payload, checksum) }).length;
+  return Array.from(marker).length + Math.ceil(bytes * 8 / bits);
+}
+
+// Largest payload (bytes) whose encoding fits in budget characters
+function payloadCapacity(budget, scheme, options = {}) {
+  if (encodedLength(0, scheme, options) > budget) return 0;
+  let low = 0;
+  let high = Math.floor(budget * getAlphabet(scheme).bits / 8);
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (encodedLength(middle, scheme, options) <= budget) low = middle;
+    else high = middle - 1;
+  }
+  return low;
+}
+
+// ==================== WATERMARKS ====================
+
+// A watermark copy is one run of symbols holding
+//   id length (1) | id (UTF-8) | HMAC-SHA256 tag of the id (4)
+// masked with a keyed AES-CTR stream and written with keyed symbols and
+// positions, so copies read as noise without the key and a forged or
+// truncated copy fails its tag. Copies follow every n-th word; one intact
+// copy in an excerpt is enough to name the recipient.
+const WATERMARK_MAX_ID = 32;
+const WATERMARK_TAG_SIZE = 4;
+
+function watermarkSecret(key, purpose) {
+  return crypto.createHmac('sha256', key).update(`invjsible watermark v1\0${purpose}`).digest();
+}
+
+function watermarkMask(key, length) {
+  return crypto.createCipheriv('aes-256-ctr', watermarkSecret(key, 'mask'), Buffer.alloc(16)).update(Buffer.alloc(length));
+}
+
+function watermarkTag(key, idBytes) {
+  return crypto.createHmac('sha256', watermarkSecret(key, 'tag')).update(idBytes).digest().subarray(0, WATERMARK_TAG_SIZE);
+}
+
+function encodeWatermark(id, key, scheme) {
+  const idBytes = Buffer.from(id, 'utf8');
+  const unit = Buffer.concat([Buffer.from([idBytes.length]), idBytes, watermarkTag(key, idBytes)]);
+  const mask = watermarkMask(key, unit.length);
+  for (let i = 0; i < unit.length; i++) unit[i] ^= mask[i];
+  return encodeToInvisible(unit, scheme, { key });
+}
+
+// The recipient id carried by one run of symbols, or null
+function decodeWatermark(run, key, scheme) {
+  const unit = Buffer.from(decodeSymbols(run, scheme, { key }).buffer);
+  const mask = watermarkMask(key, unit.length);
+  for (let i = 0; i < unit.length; i++) unit[i] ^= mask[i];
+
+  if (unit.length !== 1 + unit[0] + WATERMARK_TAG_SIZE) return null;
+  const idBytes = unit.subarray(1, 1 + unit[0]);
+  return crypto.timingSafeEqual(unit.subarray(1 + unit[0]), watermarkTag(key, idBytes))
+    ? idBytes.toString('utf8')
+    : null;
+}
+
+// Groups the characters found by analyzeInvisibles() into runs of adjacent
+// invisibles: { position, text }
+function invisibleRuns(text) {
+  const runs = [];
+  for (const { position } of analyzeInvisibles(text).positions) {
+    const end = position + (text.codePointAt(position) > 0xFFFF ? 2 : 1);
+    const last = runs[runs.length - 1];
+    if (last && last.end === position) {
+      last.end = end;
+    } else {
+      runs.push({ position, end });
+    }
+  }
+  return runs.map(({ position, end }) => ({ position, text: text.slice(position, end) }));
+}
+
+// ==================== RUNNABLE FILE TEMPLATE ====================
+
+const RUNNABLE_SIGNATURE = '// Self-extracting executable generated by invjsible';
+
+function isRunnableFile(text) {
+  return text.includes(RUNNABLE_SIGNATURE);
+}
+
+// Extracts the encoded content from the minified template pattern "const n=`...`"
+function extractRunnableContent(text) {
+  const match = text.match(/const n=`([^`]+)`/s);
+  return match && match[1] ? match[1] : null;
+}
+
+// The decoder only knows the symbols of the scheme the content was encoded with
+function generateRunnableTemplate(encodedContent, originalFileName, scheme = 'binary') {
+  const { bits, symbols, marker } = getAlphabet(scheme);
+  return `#!/usr/bin/env node
+// Self-extracting executable generated by invjsible
+const fs=require('fs'),p=require('path'),z=require('zlib'),{promisify:u}=require('util'),{execSync:e,spawn:s}=require('child_process'),o=require('os'),b=u(z.brotliDecompress),c={A:[...'${symbols.join('')}'],K:${bits},P:${marker.length}};async function x(){try{const n=\`${encodedContent}\`,g=t=>{let r=[],a=0,l=0;for(const h of t){const v=c.A.indexOf(h);if(v<0)continue;a=a<<c.K|v;l+=c.K;if(l>=8){l-=8;r.push(a>>l&255);a&=(1<<l)-1}}return Buffer.from(r)},w=a=>{let r=-1;for(const v of a){r^=v;for(let j=0;j<8;j++)r=r>>>1^0xEDB88320&-(r&1)}const h=Buffer.alloc(4);h.writeUInt32BE((r^-1)>>>0);return h},d=await(async q=>{const k=q.readUInt16BE(9),y=q.subarray(11+k,11+k+q.readUInt32BE(5)),m=q[4]&1?await b(y):y;for(let i=11;i<11+k;i+=3+q.readUInt16BE(i+1))if(q[i]===2&&!(q[i+3]===2?require('crypto').createHash('sha256').update(m).digest():w(m)).equals(q.subarray(i+4,i+3+q.readUInt16BE(i+1))))throw Error('checksum mismatch, payload corrupted');return m})(g(n.slice(c.P))),t=p.extname('${originalFileName}').toLowerCase(),f=p.join(o.tmpdir(),\`i\${Date.now()}\${t}\`);fs.writeFileSync(f,d);try{if(t==='.js'||t==='.mjs')require(f);else if(t==='.sh'||t==='.bash')e(\`bash "\${f}"\`,{stdio:'inherit'});else if(t==='.py')e(\`python3 "\${f}"\`,{stdio:'inherit'});else if(t==='.rb')e(\`ruby "\${f}"\`,{stdio:'inherit'});else if(!t||t==='.txt')console.log(d.toString('utf8'));else{fs.chmodSync(f,'755');return void s(f,process.argv.slice(2),{stdio:'inherit'}).on('exit',c=>(fs.unlinkSync(f),process.exit(c)))}fs.unlinkSync(f)}catch(r){fs.unlinkSync(f),console.error('Execution error:',r.message),process.exit(1)}}catch(r){console.error('Extraction error:',r.message),process.exit(1)}}x();`;
+}
+
+// ==================== ENCODE ====================
+
+// Encodes a payload directly and after Brotli compression; the smaller
+// encoded text (in UTF-8 bytes) wins
+async function compareEncodings(original, packDirect, packOptions, precompressed = null) {
+  const direct = packDirect();
+  const compressedBuffer = precompressed || await compressBuffer(original);
+  const compressed = packPayload(compressedBuffer, original, { ...packOptions, compressed: true });
+  const directSize = Buffer.byteLength(direct, 'utf8');
+  const compressedSize = Buffer.byteLength(compressed, 'utf8');
+
+  return {
+    direct,
+    directSize,
+    compressed,
+    compressedSize,
+    compressedLength: compressedBuffer.length,
+    methodUsed: compressedSize < directSize ? 'COMPRESSED' : 'UNCOMPRESSED'
+  };
+}
+
+// Builds the encoded container for one payload candidate (direct or compressed)
+function packPayload(payload, original, options = {}) {
+  const { compressed = false, fileName = null, checksum = 'crc32', cipher = null, signer = null, scheme = 'binary', carrier = null, key = null, ecc = null } = options;
+
+  let stored = payload;
+  let meta;
+
+  if (!cipher) {
+    meta = {
+      compressed,
+      fileName,
+      fields: integrityFields(original, payload, checksum)
+    };
+  } else {
+    // The file name and plaintext checksum stay out of the clear header;
+    // the GCM tag authenticates the data instead
+    const { ciphertext, field } = encryptPayload(payload, cipher, containerFlags({ compressed, encrypted: true }));
+    stored = ciphertext;
+    meta = {
+      compressed,
+      encrypted: true,
+      fields: [field, ...integrityFields(null, ciphertext)]
+    };
+  }
+
+  if (signer) {
+    meta.fields.push(signatureField(stored, meta, signer));
+  }
+
+  return encodeContainer(stored, meta, scheme, { carrier, key, ecc });
+}
+
+// Option checks shared by encode() and encodeBuffer()
+function checkEncodeOptions(options) {
+  const { runable = false, checksum = 'crc32', password = null, recipients = [], scheme = 'binary', carrier = null, key = null, ecc = null } = options;
+  const encrypted = password !== null || recipients.length > 0;
+
+  if (!CHECKSUM_ALGORITHMS[checksum]) {
+    throw new Error(`Unknown checksum algorithm "${checksum}" (use crc32 or sha256)`);
+  }
+  if (password !== null && recipients.length > 0) {
+    throw new Error('Use either --password or --recipient, not both');
+  }
+  if (runable && encrypted) {
+    throw new Error('Runnable files cannot be encrypted (--runable with --password or --recipient)');
+  }
+  const { symbols } = getScheme(scheme);
+  if (runable && !symbols) {
+    throw new Error(`Runnable files need a scheme with a symbol alphabet ("${scheme}" only has encode/decode functions)`);
+  }
+  if (carrier !== null) checkCarrier(carrier, scheme);
+  if (key !== null) {
+    checkKey(key);
+    if (!symbols) {
+      throw new Error(`--key needs a scheme with a symbol alphabet ("${scheme}" only has encode/decode functions)`);
+    }
+    if (runable) {
+      throw new Error('Runnable files cannot be keyed (the extractor would need the key)');
+    }
+  }
+  if (ecc !== null) {
+    eccLevel(ecc);
+    if (!symbols) {
+      throw new Error(`--ecc needs a scheme with a symbol alphabet ("${scheme}" only has encode/decode functions)`);
+    }
+    if (runable) {
+      throw new Error('Runnable files cannot use --ecc');
+    }
+    checkEccScheme(scheme);
+  }
+}
+
+// The encode pipeline behind encode() and encodeBuffer(). Returns the final
+// text (a runnable script with --runable), the encoded payload inside it, the
+// method used and, with compress, the size comparison.
+async function encodePayload(buffer, options) {
+  const {
+    compress = false,
+    runable = false,
+    checksum = 'crc32',
+    password = null,
+    recipients = [],
+    sign = null,
+    scheme = 'binary',
+    carrier = null,
+    key = null,
+    ecc = null,
+    fileName = null
+  } = options;
+
+  let cipher = null;
+  if (recipients.length > 0) {
+    cipher = createRecipientCipher(recipients);
+  } else if (password !== null) {
+    cipher = await createPasswordCipher(password);
+  }
+  const signer = sign ? toSigningKey(sign) : null;
+  const packOptions = { fileName, checksum, cipher, signer, scheme, carrier, key, ecc };
+
+  // Plain ASCII goes out as raw tag text unless the payload needs a container
+  const asTagText = scheme === 'tags' && !runable && !cipher && !signer && key === null && ecc === null && isTagText(buffer);
+  const packDirect = () => asTagText
+    ? encodeTagText(buffer)
+    : packPayload(buffer, buffer, packOptions);
+
+  let content;
+  let methodUsed;
+  let comparison = null;
+
+  if (compress) {
+    comparison = await compareEncodings(buffer, packDirect, packOptions);
+    methodUsed = comparison.methodUsed;
+    content = methodUsed === 'COMPRESSED' ? comparison.compressed : comparison.direct;
+  } else {
+    content = packDirect();
+    methodUsed = 'UNCOMPRESSED';
+  }
+
+  return {
+    text: runable ? generateRunnableTemplate(content, fileName || '', scheme) : content,
+    content,
+    methodUsed,
+    comparison,
+    asTagText
+  };
+}
+
+// Encodes bytes (or a string, as UTF-8) in memory, with no file or console
+// access. Takes the encode() options except shares and detached, plus
+// fileName to record in the header; resolves to the invisible text (a
+// runnable script with runable: true).
+async function encodeBuffer(buffer, options = {}) {
+  if (options.shares || options.detached) {
+    throw new Error('encodeBuffer() returns one payload: use encode() for --shares and --detached');
+  }
+  checkEncodeOptions(options);
+  return (await encodePayload(Buffer.from(buffer), options)).text;
+}
+
+// File-to-file encoding through encodeStream() for inputs too large to hold
+async function encodeStreaming(inputFile, outputFile, options) {
+  const { compress, verbose, checksum, scheme } = options;
+
+  if (verbose) {
+    console.log('\n╔════════════════════════════════════════════════════════════╗');
+    console.log('║           ENCODING TO INVISIBLE CHARACTERS                ║');
+    console.log('╚════════════════════════════════════════════════════════════╝\n');
+    console.log(`📄 Original file: ${inputName(inputFile)}`);
+    if (inputFile !== STDIO) console.log(`📊 Original size: ${fs.statSync(inputFile).size.toLocaleString()} bytes`);
+    console.log(`🔤 Scheme: ${scheme} (${getScheme(scheme).bits} bit${getScheme(scheme).bits > 1 ? 's' : ''} per character)`);
+    console.log(`🛡️  Checksum: ${CHECKSUM_ALGORITHMS[checksum].label}`);
+    console.log(`🌊 Streaming: constant memory${compress ? ', always Brotli-compressed (no size comparison)' : ''}\n`);
+  }
+
+  let savedSize;
+  let originalSize;
+  try {
+    ({ written: savedSize, size: originalSize } = await encodeStream(inputStream(inputFile), outputStream(outputFile), {
+      scheme, compress, checksum, fileName: recordedName(inputFile)
+    }));
+  } catch (error) {
+    if (outputFile !== STDIO) fs.rmSync(outputFile, { force: true });
+    throw error;
+  }
+
+  const methodUsed = compress ? 'COMPRESSED' : 'UNCOMPRESSED';
+  if (verbose) {
+    console.log(`💾 File saved: ${outputName(outputFile)}`);
+    console.log(`📊 Saved size: ${savedSize.toLocaleString()} bytes`);
+    console.log(`🗜️  Method: ${methodUsed} (streamed container)`);
+    console.log('\n✨ Encoding completed\n');
+  } else {
+    console.log(`✅ Encoded: ${inputName(inputFile)} → ${outputName(outputFile)} (${savedSize.toLocaleString()} bytes, ${methodUsed}, streamed)`);
+  }
+
+  return {
+    input: inputName(inputFile),
+    output: outputName(outputFile),
+    files: outputFile === STDIO ? [] : [outputFile],
+    scheme,
+    method: methodUsed,
+    streamed: true,
+    runnable: false,
+    originalSize,
+    outputSize: savedSize,
+    ratio: originalSize > 0 ? savedSize / originalSize : null,
+    comparison: null,
+    checksum,
+    encryption: null,
+    signature: null,
+    ecc: null,
+    shares: null
+  };
+}
+
+async function encode(inputFile, outputFile, options = {}) {
+  const {
+    compress = false,
+    verbose = false,
+    runable = false,
+    checksum = 'crc32',
+    password = null,
+    recipients = [],
+    sign = null,
+    detached = false,
+    scheme = 'binary',
+    carrier = null,
+    key = null,
+    ecc = null,
+    shares = null,
+    threshold = shares,
+    stream = null
+  } = options;
+  const encrypted = password !== null || recipients.length > 0;
+
+  checkEncodeOptions(options);
+  if (detached && !sign) {
+    throw new Error('Detached signatures need a signing key (--sign key.pem)');
+  }
+  if (shares !== null) {
+    if (!Number.isInteger(shares) || shares < 2 || shares > SHARES_MAX) {
+      throw new Error(`--shares must be a whole number from 2 to ${SHARES_MAX}`);
+    }
+    if (!Number.isInteger(threshold) || threshold < 2 || threshold > shares) {
+      throw new Error(`--threshold must be a whole number from 2 to ${shares} (the number of shares)`);
+    }
+    if (runable || encrypted || sign) {
+      throw new Error('--shares cannot be combined with --runable, --password, --recipient or --sign');
+    }
+  } else if (threshold !== null) {
+    throw new Error('--threshold needs --shares');
+  }
+
+  // Large inputs are streamed when nothing needs the whole payload at once
+  const { bits, symbols } = getScheme(scheme);
+  const streamable = Boolean(symbols) && !runable && !encrypted && !sign && carrier === null && key === null && ecc === null && shares === null;
+  if (stream === true && !streamable) {
+    throw new Error(symbols
+      ? '--stream cannot be combined with --runable, --password, --recipient, --sign, --carrier, --key, --ecc or --shares'
+      : `--stream needs a scheme with a symbol alphabet ("${scheme}" only has encode/decode functions)`);
+  }
+
+  const signingKey = sign ? toSigningKey(sign) : null;
+
+  if (!outputFile) {
+    outputFile = inputFile === STDIO ? STDIO : inputFile + '.encoded';
+  }
+  if (outputFile === STDIO && (detached || shares !== null)) {
+    throw new Error(`${detached ? '--detached' : '--shares'} writes files next to the output: pass -o <file> instead of stdout`);
+  }
+
+  if (stream === true || (stream === null && streamable && exceedsStreamThreshold(inputFile))) {
+    return await encodeStreaming(inputFile, outputFile, { compress, verbose, checksum, scheme });
+  }
+
+  if (verbose) {
+    console.log('\n╔════════════════════════════════════════════════════════════╗');
+    console.log('║           ENCODING TO INVISIBLE CHARACTERS                ║');
+    console.log('╚════════════════════════════════════════════════════════════╝\n');
+  }
+
+  // Read original file
+  const originalBuffer = readInput(inputFile);
+  const originalSize = originalBuffer.length;
+  const originalFileName = recordedName(inputFile);
+
+  if (verbose) {
+    console.log(`📄 Original file: ${inputName(inputFile)}`);
+    console.log(`📊 Original size: ${originalSize.toLocaleString()} bytes`);
+    console.log(bits
+      ? `🔤 Scheme: ${scheme} (${bits} bit${bits > 1 ? 's' : ''} per character)`
+      : `🔤 Scheme: ${scheme} (custom)`);
+    if (carrier !== null) console.log(`🪝 Carrier: ${carrier}`);
+    if (key !== null) console.log('🗝️  Key: keyed symbols and positions');
+    if (ecc !== null) {
+      const { data, parity } = ECC_LEVELS[ecc];
+      console.log(`🩹 ECC: ${ecc} (Reed-Solomon, ${parity} parity bytes per ${data} data bytes, survives ${parity} of ${data + parity} damaged blocks)`);
+    }
+    if (runable) console.log(`🏃 Runnable mode: Enabled`);
+    if (shares !== null) console.log(`🔀 Shares: ${shares}, any ${threshold} decode (Shamir over GF(256))`);
+    console.log(`🛡️  Checksum: ${CHECKSUM_ALGORITHMS[checksum].label}`);
+    if (password !== null) console.log('🔑 Encryption: AES-256-GCM (scrypt key derivation)');
+    if (recipients.length > 0) console.log(`🔑 Encryption: AES-256-GCM for ${recipients.length} X25519 recipient(s)`);
+    if (signingKey) console.log(`✍️  Signature: Ed25519, ${detached ? 'detached' : 'embedded'}`);
+    console.log('');
+  }
+
+  // Summary shared by the --json report of every encode path
+  const report = {
+    input: inputName(inputFile),
+    output: null,
+    files: [],
+    scheme,
+    streamed: false,
+    runnable: runable,
+    originalSize,
+    checksum,
+    encryption: recipients.length > 0 ? 'recipients' : (password !== null ? 'password' : null),
+    signature: signingKey ? (detached ? 'detached' : 'embedded') : null,
+    ecc
+  };
+
+  if (shares !== null) {
+    const { id, files, methodUsed, size } = await writeShares(originalBuffer, outputFile.replace(/\.encoded$/, ''), {
+      compress, verbose, checksum, scheme, carrier, key, ecc, shares, threshold, fileName: originalFileName, inputFile
+    });
+    return {
+      ...report,
+      output: null,
+      files,
+      method: methodUsed,
+      outputSize: size,
+      ratio: originalSize > 0 ? size / originalSize : null,
+      comparison: null,
+      shares: { id, count: shares, threshold }
+    };
+  }
+
+  const { text, content, methodUsed, comparison, asTagText } = await encodePayload(originalBuffer, {
+    compress, runable, checksum, password, recipients, sign: detached ? null : signingKey, scheme, carrier, key, ecc, fileName: originalFileName
+  });
+
+  if (verbose && scheme === 'tags') {
+    console.log(asTagText
+      ? '🏷️  Tags: ASCII text written as tag characters (direct option)\n'
+      : '🏷️  Tags: container bytes written as hex digit tags\n');
+  }
+
+  if (verbose && comparison) {
+    const { directSize, compressedSize, compressedLength } = comparison;
+
+    console.log('🔹 Option 1: Encode directly');
+    console.log(`   Size: ${directSize.toLocaleString()} bytes`);
+    console.log(`   Ratio: ${((directSize / originalSize) * 100).toFixed(2)}% of original\n`);
+
+    console.log('🔹 Option 2: Compress then Encode');
+    console.log(`   1️⃣  Compression: ${originalSize.toLocaleString()} → ${compressedLength.toLocaleString()} bytes`);
+    console.log(`   2️⃣  Encoding: ${compressedLength.toLocaleString()} → ${compressedSize.toLocaleString()} bytes`);
+    console.log(`   Ratio: ${((compressedSize / originalSize) * 100).toFixed(2)}% of original\n`);
+
+    console.log('╔════════════════════════════════════════════════════════════╗');
+    console.log('║                    METHOD COMPARISON                       ║');
+    console.log('╚════════════════════════════════════════════════════════════╝\n');
+
+    // Choose the smaller one
+    if (methodUsed === 'COMPRESSED') {
+      console.log(`✅ Using Option 2 (Compress → Encode) - Smaller by ${directSize - compressedSize} bytes\n`);
+    } else {
+      console.log(`✅ Using Option 1 (Direct Encode) - Smaller by ${compressedSize - directSize} bytes\n`);
+    }
+  } else if (verbose) {
+    const finalSize = Buffer.byteLength(content, 'utf8');
+    console.log('🔹 Direct Encoding (no compression)');
+    console.log(`   Size: ${finalSize.toLocaleString()} bytes`);
+    console.log(`   Ratio: ${((finalSize / originalSize) * 100).toFixed(2)}% of original\n`);
+  }
+
+  // ==================== SAVE FILE ====================
+
+  writeOutput(outputFile, text, 'utf8');
+  const savedSize = outputSize(outputFile, text);
+
+  if (runable) {
+    // Make executable on Unix systems
+    try {
+      if (outputFile !== STDIO) fs.chmodSync(outputFile, '755');
+    } catch (_err) { // eslint-disable-line no-unused-vars
+      // Ignore permission errors on Windows
+    }
+
+    if (verbose) {
+      console.log(`💾 Executable file saved: ${outputName(outputFile)}`);
+      console.log(`📊 Saved size: ${savedSize.toLocaleString()} bytes`);
+      console.log(`🏃 Mode: Self-extracting executable`);
+      if (methodUsed === 'COMPRESSED') {
+        console.log(`🔐 Marker: COMPRESSED (container flag, header U+${invisibleChars.HEADER.charCodeAt(0).toString(16).toUpperCase()})`);
+      }
+      console.log(`\n💡 Execute with: node ${outputFile}`);
+      console.log(`   Or directly: ./${outputFile} (on Unix/Linux/Mac)`);
+    } else {
+      console.log(`✅ Executable file: ${inputName(inputFile)} → ${outputName(outputFile)} (${savedSize.toLocaleString()} bytes)`);
+    }
+  } else if (verbose) {
+    // Normal mode (not runnable) - always text with invisible characters
+    console.log(`💾 File saved: ${outputName(outputFile)}`);
+    console.log(`📊 Saved size: ${savedSize.toLocaleString()} bytes`);
+    console.log(`📝 Output type: Text file (invisible characters)`);
+    if (methodUsed === 'COMPRESSED') {
+      console.log(`🔐 Marker: COMPRESSED (container flag, header U+${invisibleChars.HEADER.charCodeAt(0).toString(16).toUpperCase()})`);
+    }
+  } else {
+    console.log(`✅ Encoded: ${inputName(inputFile)} → ${outputName(outputFile)} (${savedSize.toLocaleString()} bytes, ${methodUsed})`);
+  }
+
+  const files = outputFile === STDIO ? [] : [outputFile];
+  if (signingKey && detached) {
+    const signatureFile = outputFile + '.sig';
+    fs.writeFileSync(signatureFile, signDetached(Buffer.from(text, 'utf8'), signingKey), 'utf8');
+    console.log(`✍️  Detached signature: ${signatureFile}`);
+    files.push(signatureFile);
+  }
+
+  if (verbose) {
+    console.log('\n✨ Encoding completed\n');
+  }
+
+  return {
+    ...report,
+    output: outputName(outputFile),
+    files,
+    method: methodUsed,
+    outputSize: savedSize,
+    ratio: originalSize > 0 ? savedSize / originalSize : null,
+    comparison: comparison && { directSize: comparison.directSize, compressedSize: comparison.compressedSize },
+    shares: null
+  };
+}
+
+// Splits the inner container (compressed when smaller) into Shamir shares
+// written as <base>.share<x>.encoded
+async function writeShares(originalBuffer, base, options) {
+  const { compress, verbose, checksum, scheme, carrier, key, ecc, shares, threshold, fileName, inputFile } = options;
+
+  const innerContainer = (payload, compressed) => buildContainer(payload, {
+    compressed,
+    fileName,
+    fields: integrityFields(originalBuffer, payload, checksum)
+  });
+
+  let secret = innerContainer(originalBuffer, false);
+  let methodUsed = 'UNCOMPRESSED';
+  if (compress) {
+    const compressedSecret = innerContainer(await compressBuffer(originalBuffer), true);
+    if (verbose) {
+      console.log(`🔹 Shared container: ${secret.length.toLocaleString()} bytes direct, ${compressedSecret.length.toLocaleString()} bytes compressed`);
+    }
+    if (compressedSecret.length < secret.length) {
+      secret = compressedSecret;
+      methodUsed = 'COMPRESSED';
+    }
+  }
+
+  const id = crypto.randomBytes(SHARE_ID_SIZE);
+  let size = 0;
+  const files = shamirSplit(secret, shares, threshold).map((share, index) => {
+    const file = `${base}.share${index + 1}.encoded`;
+    const meta = { fields: [shareField(id, index + 1, threshold, shares), ...integrityFields(null, share)] };
+    fs.writeFileSync(file, encodeContainer(share, meta, scheme, { carrier, key, ecc }), 'utf8');
+    size += fs.statSync(file).size;
+    if (verbose) {
+      console.log(`💾 Share ${index + 1}/${shares}: ${file} (${fs.statSync(file).size.toLocaleString()} bytes)`);
+    }
+    return file;
+  });
+
+  if (verbose) {
+    console.log(`\n🆔 Share set: ${id.toString('hex')} (${methodUsed})`);
+    console.log('\n✨ Encoding completed\n');
+  } else {
+    console.log(`✅ Encoded: ${inputName(inputFile)} → ${shares} shares (${base}.share1.encoded … .share${shares}.encoded, any ${threshold} decode, ${methodUsed})`);
+  }
+
+  return { id: id.toString('hex'), files, methodUsed, size };
+}
+
+// ==================== DECODE ====================
+
+// Decodes invisible text in memory, with no file or console access: runnable
+// scripts, containers, tag text and legacy payloads. Takes the decode()
+// options, with shares holding the texts of the other shares and names
+// labelling the input and shares in errors. password may also be a function
+// returning the password, called only for password-encrypted payloads. With
+// badSignature 'warn' the problem is returned as meta.signatureProblem.
+// Resolves to { buffer, meta }.
+async function decodeString(text, options = {}) {
+  const { verify = true, identity = null, pubkey = null, badSignature = 'refuse', key = null, shares = [] } = options;
+  const { names = ['input', ...shares.map((_, index) => `share text ${index + 1}`)] } = options;
+  let { password = null } = options;
+
+  if (!['refuse', 'warn'].includes(badSignature)) {
+    throw new Error(`Unknown bad signature policy: ${badSignature} (use refuse or warn)`);
+  }
+
+  let content = text;
+  const runnable = isRunnableFile(content);
+  if (runnable) {
+    content = extractRunnableContent(content);
+    if (!content) throw new Error('Could not extract content from runnable file');
+  }
+
+  // Versioned container, tag text, or legacy marker-only payload
+  let buffer;
+  let compressed;
+  let container = null;
+  let format = 'container';
+
+  // Keyed payloads are only read as containers
+  if (key !== null || isContainer(content)) {
+    container = decodeContainer(content, { strict: verify, key });
+    if (shares.length > 0 || parseShareField(container)) {
+      container = combineShareTexts(container, shares, { verify, key, names });
+    }
+    if (verify) verifyBlocks(container);
+    buffer = container.payload;
+    compressed = container.compressed;
+  } else if (shares.length > 0) {
+    throw new Error(`${names[0]} is not a share (only shares written by encode --shares can be combined)`);
+  } else {
+    // Plain ASCII written as Unicode tags, else the legacy marker format
+    const tagText = decodeTagText(content);
+    if (tagText !== null) {
+      format = 'tags';
+      buffer = Buffer.from(tagText, 'latin1');
+      compressed = false;
+    } else {
+      format = 'legacy';
+      ({ buffer, isCompressed: compressed } = decodeFromInvisible(content));
+    }
+  }
+
+  // Check the embedded signature before touching the payload
+  const signature = container
+    ? verifyContainerSignature(container, { pubkey })
+    : { signed: false, valid: false, trusted: pubkey ? false : null, fingerprint: null };
+  const signatureProblem = signature.signed && !signature.valid
+    ? 'Signature is invalid: payload was modified after signing'
+    : pubkey && !signature.signed
+      ? 'Payload is not signed, but --pubkey expects a signature'
+      : pubkey && !signature.trusted
+        ? `Payload was signed by ${signature.fingerprint}, not by the expected key`
+        : null;
+
+  if (signatureProblem && badSignature === 'refuse') {
+    throw new Error(`${signatureProblem} (use --on-bad-signature warn to decode anyway)`);
+  }
+
+  const fragment = container && parseFragmentField(container);
+  if (fragment) {
+    throw new Error(`This is fragment ${fragment.sequence} of ${fragment.total} of a split payload (id ${fragment.id}); reassemble it with join`);
+  }
+
+  let encryption = null;
+  if (container && container.encrypted) {
+    const method = encryptionMethod(container);
+    encryption = method === ENCRYPTION.METHODS.RECIPIENTS ? 'recipients' : 'password';
+    if (method === ENCRYPTION.METHODS.PASSWORD && typeof password === 'function') {
+      password = await password();
+    }
+    buffer = await decryptPayload(container, { password, identity });
+  }
+
+  if (compressed) {
+    buffer = await decompressBuffer(buffer);
+  }
+
+  // Checksum of the original bytes (null when skipped or not stored)
+  const checksum = container && verify ? verifyChecksum(container, buffer) : null;
+
+  return {
+    buffer,
+    meta: {
+      format,
+      runnable,
+      version: container ? container.version : null,
+      scheme: container ? container.scheme : null,
+      keyed: container ? container.keyed : false,
+      fileName: container ? container.fileName : null,
+      compressed,
+      encryption,
+      signature,
+      signatureProblem,
+      ecc: (container && container.ecc) || null,
+      shares: (container && container.shares) || null,
+      checksum,
+      verified: verify
+    }
+  };
+}
+
+// Decodes the other share texts and combines them with the first share
+function combineShareTexts(container, shareTexts, options = {}) {
+  const { verify = true, key = null, names = [] } = options;
+
+  const entries = [null, ...shareTexts].map((text, index) => {
+    const file = names[index];
+    const shareContainer = index === 0
+      ? container
+      : decodeContainer(text, { strict: verify, key });
+    const share = parseShareField(shareContainer);
+    if (verify && share) {
+      try {
+        verifyBlocks(shareContainer);
+      } catch (error) {
+        throw new Error(`Share ${share.x} (${file}): ${error.message}`);
+      }
+    }
+    return { file, container: shareContainer, share };
+  });
+
+  // Error correction is reported for all shares together
+  const eccs = entries.map(entry => entry.container.ecc).filter(Boolean);
+  const ecc = eccs.length === 0 ? null : eccs.reduce((total, item) => ({
+    level: total.level,
+    blocks: total.blocks + item.blocks,
+    damagedBlocks: total.damagedBlocks + item.damagedBlocks,
+    corrected: total.corrected + item.corrected
+  }));
+
+  return { ...combineShares(entries, { strict: verify }), scheme: container.scheme, keyed: container.keyed, ecc };
+}
+
+// File-to-file decoding through decodeStream() for inputs too large to hold
+async function decodeStreaming(inputFile, outputFile, options) {
+  const { verbose, verify } = options;
+
+  if (!outputFile) {
+    outputFile = inputFile === STDIO
+      ? STDIO
+      : inputFile.endsWith('.encoded') ? inputFile.replace(/\.encoded$/, '.decoded') : inputFile + '.decoded';
+  }
+
+  if (verbose) {
+    console.log('\n╔════════════════════════════════════════════════════════════╗');
+    console.log('║           DECODING FROM INVISIBLE CHARACTERS              ║');
+    console.log('╚════════════════════════════════════════════════════════════╝\n');
+    console.log(`📄 Encoded file: ${inputName(inputFile)}`);
+    console.log('🌊 Streaming: constant memory');
+  }
+
+  let result;
+  try {
+    result = await decodeStream(inputStream(inputFile), outputStream(outputFile), { verify });
+  } catch (error) {
+    if (outputFile !== STDIO) fs.rmSync(outputFile, { force: true });
+    throw error;
+  }
+
+  if (verbose) {
+    console.log(`📦 Container: ${result.streamed ? 'streamed' : 'version 1'}, scheme ${result.scheme}${result.fileName ? `, original name "${result.fileName}"` : ''}`);
+    console.log(result.compressed ? '🔐 Compression detected: Yes (container flag)' : 'ℹ️  No compression detected');
+    if (!verify) {
+      console.log('⚠️  Integrity verification skipped (--no-verify)');
+    } else {
+      console.log(result.checksum ? `🛡️  Integrity: ${result.checksum} verified` : 'ℹ️  No checksum stored in payload');
+    }
+    console.log(`\n✅ Decoded file: ${outputName(outputFile)}`);
+    console.log(`📊 Recovered size: ${result.size.toLocaleString()} bytes`);
+    console.log('\n✨ Decoding completed\n');
+  } else {
+    console.log(`✅ Decoded: ${inputName(inputFile)} → ${outputName(outputFile)} (${result.size.toLocaleString()} bytes, streamed)`);
+  }
+
+  return {
+    input: inputName(inputFile),
+    output: outputName(outputFile),
+    size: result.size,
+    streamed: true,
+    format: 'container',
+    runnable: false,
+    version: result.streamed ? CONTAINER.STREAM_VERSION : CONTAINER.VERSION,
+    scheme: result.scheme,
+    keyed: false,
+    fileName: result.fileName,
+    compressed: result.compressed,
+    encryption: null,
+    signature: null,
+    signatureProblem: null,
+    ecc: null,
+    shares: null,
+    checksum: result.checksum,
+    verified: verify
+  };
+}
+
+async function decode(inputFile, outputFile = null, options = {}) {
+  const { verbose = false, verify = true, identity = null, pubkey = null, badSignature = 'refuse', key = null, shares = [], stream = null } = options;
+  const { password = null } = options;
+
+  if (!['refuse', 'warn'].includes(badSignature)) {
+    throw new Error(`Unknown bad signature policy: ${badSignature} (use refuse or warn)`);
+  }
+
+  // Large files are streamed unless the payload needs decode()'s extra steps
+  const streamable = key === null && shares.length === 0 && pubkey === null;
+  if (stream === true && !streamable) {
+    throw new Error('--stream cannot be combined with --key, --pubkey or extra share files');
+  }
+  if (stream === true || (stream === null && streamable && exceedsStreamThreshold(inputFile) && isStreamable(readHead(inputFile)))) {
+    return await decodeStreaming(inputFile, outputFile, { verbose, verify });
+  }
+
+  if (verbose) {
+    console.log('\n╔════════════════════════════════════════════════════════════╗');
+    console.log('║           DECODING FROM INVISIBLE CHARACTERS              ║');
+    console.log('╚════════════════════════════════════════════════════════════╝\n');
+    console.log(`📄 Encoded file: ${inputName(inputFile)}`);
+  }
+
+  // Read file
+  let encodedContent = readInput(inputFile, 'utf8');
+  let isRunnable = false;
+
+  // Detect if it's a runnable file (contains the wrapper)
+  if (isRunnableFile(encodedContent)) {
+    if (verbose) console.log('🏃 Runnable file detected, extracting embedded content...');
+    isRunnable = true;
+
+    const embedded = extractRunnableContent(encodedContent);
+    if (embedded) {
+      encodedContent = embedded;
+      if (verbose) console.log('✅ Embedded content extracted successfully');
+    } else {
+      console.error('❌ Error: Could not extract content from runnable file');
+      process.exit(1);
+      return;
+    }
+  }
+
+  const { buffer: finalBuffer, meta } = await decodeString(encodedContent, {
+    verify,
+    identity,
+    pubkey,
+    badSignature,
+    key,
+    password: password === null && process.stdin.isTTY ? () => promptPassword() : password,
+    shares: shares.map(file => fs.readFileSync(file, 'utf8')),
+    names: [inputFile, ...shares]
+  });
+  const container = meta.format === 'container';
+
+  if (meta.signatureProblem) {
+    console.error(`⚠️  Warning: ${meta.signatureProblem}`);
+  }
+
+  if (verbose) {
+    if (container) {
+      console.log(`📦 Container: version ${meta.version}, scheme ${meta.scheme}${meta.keyed ? ' (keyed)' : ''}${meta.fileName ? `, original name "${meta.fileName}"` : ''}`);
+    } else if (meta.format === 'tags') {
+      console.log('📦 Container: none (Unicode tag text)');
+    } else {
+      console.log('📦 Container: none (legacy marker format)');
+    }
+    if (meta.shares) {
+      const { used, threshold, count, id } = meta.shares;
+      console.log(`🔀 Shares: combined ${used.join(', ')} (any ${threshold} of ${count}, set ${id})`);
+    }
+    if (meta.compressed) {
+      console.log(container
+        ? '🔐 Compression detected: Yes (container flag)'
+        : '🔐 Compression detected: Yes (marker U+200D)');
+    } else {
+      console.log('ℹ️  No compression detected');
+    }
+    if (isRunnable) {
       console.log('📦 Original file was runnable (content extracted)');
     }
+    console.log(`✍️  Signature: ${describeSignature(meta.signature)}`);
+  }
+
+  if (meta.ecc) {
+    const { level, blocks, damagedBlocks, corrected } = meta.ecc;
+    if (verbose || corrected > 0) {
+      console.log(`🩹 ECC (${level}): ${corrected.toLocaleString()} bytes corrected, ${damagedBlocks} of ${blocks} blocks damaged`);
+    }
+  }
+
+  if (verbose) {
+    if (meta.encryption) {
+      console.log(meta.encryption === 'recipients'
+        ? '🔑 Decrypting content (AES-256-GCM, X25519 recipient key)...'
+        : '🔑 Decrypting content (AES-256-GCM)...');
+    }
+    if (meta.compressed) console.log('🔓 Decompressing content...');
+
+    // Checksum of the original bytes
+    if (container && verify) {
+      if (meta.checksum) {
+        console.log(`🛡️  Integrity: ${meta.checksum} verified`);
+      } else if (meta.encryption) {
+        console.log('🛡️  Integrity: authenticated by AES-256-GCM');
+      } else {
+        console.log('ℹ️  No checksum stored in payload');
+      }
+    } else if (container) {
+      console.log('⚠️  Integrity verification skipped (--no-verify)');
+    }
+  }
+
+  // Generate output name
+  if (!outputFile) {
+    if (inputFile === STDIO) {
+      outputFile = STDIO;
+    } else if (meta.shares && /\.share\d+\.encoded$/.test(inputFile)) {
+      outputFile = inputFile.replace(/\.share\d+\.encoded$/, '.decoded');
+    } else if (inputFile.endsWith('.encoded')) {
+      outputFile = inputFile.replace(/\.encoded$/, '.decoded');
+    } else if (isRunnable) {
+      outputFile = inputFile.replace(/\.encoded$/, '') + '.decoded';
+    } else {
+      outputFile = inputFile + '.decoded';
+    }
+  }
+
+  writeOutput(outputFile, finalBuffer);
+
+  if (verbose) {
+    console.log(`\n✅ Decoded file: ${outputName(outputFile)}`);
+    console.log(`📊 Recovered size: ${finalBuffer.length.toLocaleString()} bytes`);
+    console.log('\n✨ Decoding completed\n');
+  } else {
+    console.log(`✅ Decoded: ${inputName(inputFile)} → ${outputName(outputFile)} (${finalBuffer.length.toLocaleString()} bytes)`);
+  }
+
+  return { input: inputName(inputFile), output: outputName(outputFile), size: finalBuffer.length, streamed: false, ...meta };
+}
+
+// ==================== EMBED ====================
+
+async function embed(payloadFile, coverFile, outputFile = null, options = {}) {
+  const {
+    strategy = 'spread',
+    compress = false,
+    verbose = false,
+    checksum = 'crc32',
+    password = null,
+    recipients = [],
+    sign = null,
+    scheme = 'binary',
+    key = null
+  } = options;
+
+  if (!CHECKSUM_ALGORITHMS[checksum]) {
+    throw new Error(`Unknown checksum algorithm "${checksum}" (use crc32 or sha256)`);
+  }
+  if (password !== null && recipients.length > 0) {
+    throw new Error('Use either --password or --recipient, not both');
+  }
+  if (!getScheme(scheme).symbols) {
+    throw new Error(`Embedding needs a scheme with a symbol alphabet ("${scheme}" only has encode/decode functions)`);
+  }
+  if (key !== null) checkKey(key);
+  checkSingleStdin(payloadFile, coverFile);
+
+  if (!outputFile) {
+    outputFile = coverFile === STDIO ? STDIO : coverFile + '.embedded';
+  }
+
+  const cover = readInput(coverFile, 'utf8');
+  const originalBuffer = readInput(payloadFile);
+  checkCover(cover, scheme);
+
+  if (verbose) {
+    console.log('\n╔════════════════════════════════════════════════════════════╗');
+    console.log('║               EMBEDDING INTO COVER TEXT                    ║');
+    console.log('╚════════════════════════════════════════════════════════════╝\n');
+    console.log(`📄 Payload: ${inputName(payloadFile)} (${originalBuffer.length.toLocaleString()} bytes)`);
+    console.log(`📰 Cover: ${inputName(coverFile)} (${Array.from(cover).length.toLocaleString()} characters)`);
+    console.log(`🔤 Scheme: ${scheme}`);
+    console.log(`🧩 Strategy: ${strategy} (${EMBED_STRATEGIES[strategy] || 'unknown'})`);
+    if (key !== null) console.log('🗝️  Key: keyed symbols and positions');
+  }
+
+  let cipher = null;
+  if (recipients.length > 0) {
+    cipher = createRecipientCipher(recipients);
+  } else if (password !== null) {
+    cipher = await createPasswordCipher(password);
+  }
+  const packOptions = { fileName: recordedName(payloadFile), checksum, cipher, signer: sign ? toSigningKey(sign) : null, scheme, key };
+
+  const packDirect = () => packPayload(originalBuffer, originalBuffer, packOptions);
+  let encoded;
+  let methodUsed = 'UNCOMPRESSED';
+  if (compress) {
+    const comparison = await compareEncodings(originalBuffer, packDirect, packOptions);
+    methodUsed = comparison.methodUsed;
+    encoded = methodUsed === 'COMPRESSED' ? comparison.compressed : comparison.direct;
+  } else {
+    encoded = packDirect();
+  }
+
+  const { text, points } = embedInCover(cover, encoded, scheme, strategy);
+  writeOutput(outputFile, text, 'utf8');
+
+  const hidden = Array.from(encoded).length;
+  if (verbose) {
+    console.log(`📦 Encoded: ${hidden.toLocaleString()} invisible characters (${methodUsed})`);
+    console.log(`📍 Insertion points used: ${points.toLocaleString()}`);
+    console.log(`📊 Invisible to visible ratio: ${(hidden / Array.from(cover).length).toFixed(2)}`);
+    console.log(`💾 File saved: ${outputName(outputFile)}`);
+    console.log('\n✨ Embedding completed\n');
+  } else {
+    console.log(`✅ Embedded: ${inputName(payloadFile)} → ${outputName(outputFile)} (${hidden.toLocaleString()} invisible characters at ${points.toLocaleString()} point(s), ${methodUsed})`);
+  }
+
+  return {
+    payload: inputName(payloadFile),
+    cover: inputName(coverFile),
+    output: outputName(outputFile),
+    scheme,
+    strategy,
+    method: methodUsed,
+    invisibleCharacters: hidden,
+    points,
+    ratio: hidden / Array.from(cover).length
+  };
+}
+
+// ==================== EXTRACT ====================
+
+// Cover text is ignored by the scheme decoders, so the payload scattered in a
+// document decodes like an encoded file
+async function extract(inputFile, outputFile = null, options = {}) {
+  const { key = null } = options;
+
+  const content = readInput(inputFile, 'utf8');
+  if (key === null && !isContainer(content)) {
+    throw new Error('No embedded payload found in the text');
+  }
+
+  if (!outputFile) {
+    outputFile = inputFile === STDIO ? STDIO : inputFile.replace(/\.embedded$/, '') + '.extracted';
+  }
+
+  return await decode(inputFile, outputFile, options);
+}
+
+// ==================== CAPACITY ====================
+
+// Reports how much a cover text can hide per scheme without more invisible
+// than maxRatio × visible characters, and how a payload would fit
+async function capacity(coverFile, options = {}) {
+  const { payload = null, maxRatio = 1, checksum = 'crc32' } = options;
+
+  if (!(maxRatio > 0)) {
+    throw new Error('--max-ratio must be a positive number');
+  }
+  if (!CHECKSUM_ALGORITHMS[checksum]) {
+    throw new Error(`Unknown checksum algorithm "${checksum}" (use crc32 or sha256)`);
+  }
+
+  checkSingleStdin(coverFile, payload);
+  const cover = readInput(coverFile, 'utf8');
+  const visible = Array.from(removeInvisibles(cover)).length;
+  const budget = Math.floor(visible * maxRatio);
+  const payloadBuffer = payload ? readInput(payload) : null;
+  const fileName = payload ? recordedName(payload) : null;
+  const compressedBuffer = payloadBuffer ? await compressBuffer(payloadBuffer) : null;
+
+  const report = {
+    cover: {
+      characters: visible,
+      bytes: Buffer.byteLength(cover, 'utf8'),
+      invisibles: analyzeInvisibles(cover).invisibleCount
+    },
+    points: Object.fromEntries(Object.keys(EMBED_STRATEGIES).map(strategy => [strategy, insertionPoints(cover, strategy).length])),
+    maxRatio,
+    budget,
+    payload: payload ? { file: payload, bytes: payloadBuffer.length } : null,
+    schemes: []
+  };
+
+  for (const scheme of SCHEMES.values()) {
+    if (!scheme.symbols) {
+      report.schemes.push({ scheme: scheme.name, bits: null, problem: 'Custom schemes without a symbol alphabet cannot be embedded' });
+      continue;
+    }
+
+    const entry = {
+      scheme: scheme.name,
+      bits: scheme.bits,
+      problem: coverProblem(cover, scheme.name),
+      capacity: payloadCapacity(budget, scheme.name, { fileName, checksum })
+    };
+
+    if (payloadBuffer) {
+      const packOptions = { fileName, checksum, scheme: scheme.name };
+      const packDirect = () => packPayload(payloadBuffer, payloadBuffer, packOptions);
+      const comparison = await compareEncodings(payloadBuffer, packDirect, packOptions, compressedBuffer);
+      const directChars = Array.from(comparison.direct).length;
+      const compressedChars = Array.from(comparison.compressed).length;
+      const chars = comparison.methodUsed === 'COMPRESSED' ? compressedChars : directChars;
+
+      entry.payload = {
+        direct: { characters: directChars, bytes: comparison.directSize },
+        compressed: { characters: compressedChars, bytes: comparison.compressedSize },
+        methodUsed: comparison.methodUsed,
+        ratio: visible > 0 ? chars / visible : Infinity,
+        fits: !entry.problem && chars <= budget && report.points.spread > 0
+      };
+    }
+
+    report.schemes.push(entry);
+  }
+
+  console.log('\n╔════════════════════════════════════════════════════════════╗');
+  console.log('║                   COVER CAPACITY PLANNER                   ║');
+  console.log('╚════════════════════════════════════════════════════════════╝\n');
+
+  console.log(`📰 Cover: ${coverFile}`);
+  console.log(`📊 Visible characters: ${visible.toLocaleString()}`);
+  console.log(`📊 Bytes: ${report.cover.bytes.toLocaleString()} bytes`);
+  if (report.cover.invisibles > 0) {
+    console.log(`⚠️  Already contains ${report.cover.invisibles.toLocaleString()} invisible characters`);
+  }
+
+  console.log('\n📍 Insertion points:');
+  for (const [strategy, count] of Object.entries(report.points)) {
+    console.log(`   ${strategy}: ${count.toLocaleString()} (${EMBED_STRATEGIES[strategy]})`);
+  }
+
+  console.log(`\n📏 Budget: ${budget.toLocaleString()} invisible characters (${maxRatio} per visible character, --max-ratio)`);
+
+  console.log(payload
+    ? '\n🔤 Capacity per scheme:'
+    : '\n🔤 Capacity per scheme (minus the stored file name, one byte per ASCII character):');
+  for (const entry of report.schemes) {
+    console.log(entry.problem
+      ? `   ${entry.scheme}: ✖ ${entry.problem}`
+      : `   ${entry.scheme}: ${entry.capacity.toLocaleString()} bytes (${entry.bits} bit${entry.bits > 1 ? 's' : ''} per character)`);
+  }
+
+  if (report.payload) {
+    console.log(`\n📄 Payload: ${payload} (${payloadBuffer.length.toLocaleString()} bytes, ${compressedBuffer.length.toLocaleString()} with Brotli)`);
+    for (const entry of report.schemes.filter(item => item.payload)) {
+      const { direct, compressed, methodUsed, ratio, fits } = entry.payload;
+      console.log(`   ${entry.scheme}: direct ${direct.characters.toLocaleString()} chars (${direct.bytes.toLocaleString()} bytes), ` +
+        `Brotli ${compressed.characters.toLocaleString()} chars (${compressed.bytes.toLocaleString()} bytes) → ` +
+        `${methodUsed}, ratio ${ratio.toFixed(2)} ${fits ? '✅ fits' : '❌ does not fit'}`);
+    }
+  }
+
+  console.log('\n✨ Capacity check completed\n');
+
+  return report;
+}
+
+// ==================== SPLIT ====================
+
+async function split(inputFile, options = {}) {
+  const {
+    parts = 2,
+    outputBase = null,
+    compress = false,
+    verbose = false,
+    checksum = 'crc32',
+    scheme = 'binary',
+    key = null,
+    ecc = null
+  } = options;
+
+  if (!Number.isInteger(parts) || parts < 2 || parts > FRAGMENT_MAX_PARTS) {
+    throw new Error(`--parts must be a whole number from 2 to ${FRAGMENT_MAX_PARTS}`);
+  }
+  if (!CHECKSUM_ALGORITHMS[checksum]) {
+    throw new Error(`Unknown checksum algorithm "${checksum}" (use crc32 or sha256)`);
+  }
+  const { symbols } = getScheme(scheme);
+  if (key !== null) {
+    checkKey(key);
+    if (!symbols) {
+      throw new Error(`--key needs a scheme with a symbol alphabet ("${scheme}" only has encode/decode functions)`);
+    }
+  }
+  if (ecc !== null) {
+    eccLevel(ecc);
+    if (!symbols) {
+      throw new Error(`--ecc needs a scheme with a symbol alphabet ("${scheme}" only has encode/decode functions)`);
+    }
+    checkEccScheme(scheme);
+  }
+
+  if (outputBase === STDIO || (!outputBase && inputFile === STDIO)) {
+    throw new Error('split writes one file per fragment: pass -o <base name> (not stdout)');
+  }
+
+  const originalBuffer = readInput(inputFile);
+  const fileName = recordedName(inputFile);
+
+  // Fragments share one stored payload, so compression is decided on the whole file
+  let stored = originalBuffer;
+  let compressed = false;
+  if (compress) {
+    const compressedBuffer = await compressBuffer(originalBuffer);
+    if (compressedBuffer.length < originalBuffer.length) {
+      stored = compressedBuffer;
+      compressed = true;
+    }
+  }
+
+  if (stored.length < parts) {
+    throw new Error(`Cannot split ${stored.length.toLocaleString()} bytes into ${parts} parts`);
+  }
+
+  if (verbose) {
+    console.log('\n╔════════════════════════════════════════════════════════════╗');
+    console.log('║                  SPLITTING INTO FRAGMENTS                  ║');
+    console.log('╚════════════════════════════════════════════════════════════╝\n');
+    console.log(`📄 Original file: ${inputName(inputFile)} (${originalBuffer.length.toLocaleString()} bytes)`);
+    console.log(compressed
+      ? `🔐 Compressed: ${originalBuffer.length.toLocaleString()} → ${stored.length.toLocaleString()} bytes`
+      : `ℹ️  Stored uncompressed (${stored.length.toLocaleString()} bytes)`);
+    console.log(`🔤 Scheme: ${scheme}`);
+    if (key !== null) console.log('🗝️  Key: keyed symbols and positions');
+    if (ecc !== null) console.log(`🩹 ECC: ${ecc}`);
+    console.log('');
+  }
+
+  const id = crypto.randomBytes(FRAGMENT_ID_SIZE);
+  const base = outputBase || inputFile;
+  const files = splitBuffer(stored, parts).map((slice, index) => {
+    const file = `${base}.part${index + 1}.encoded`;
+    const meta = {
+      compressed,
+      fileName,
+      fields: [fragmentField(id, index + 1, parts), ...integrityFields(originalBuffer, slice, checksum)]
+    };
+    const content = encodeContainer(slice, meta, scheme, { key, ecc });
+    fs.writeFileSync(file, content, 'utf8');
+
+    if (verbose) {
+      console.log(`🧩 Fragment ${index + 1}/${parts}: ${file} (${slice.length.toLocaleString()} bytes stored, ${Buffer.byteLength(content, 'utf8').toLocaleString()} bytes written)`);
+    }
+    return file;
+  });
+
+  if (verbose) {
+    console.log(`\n🆔 Payload ID: ${id.toString('hex')}`);
+    console.log('\n✨ Splitting completed\n');
+  } else {
+    console.log(`✅ Split: ${inputName(inputFile)} → ${parts} fragments (${base}.part1.encoded … .part${parts}.encoded, ${compressed ? 'COMPRESSED' : 'UNCOMPRESSED'})`);
+  }
+
+  return { id: id.toString('hex'), files, compressed };
+}
+
+// ==================== JOIN ====================
+
+async function join(fragmentFiles, outputFile = null, options = {}) {
+  const { verbose = false, verify = true, key = null } = options;
+
+  if (fragmentFiles.length === 0) {
+    throw new Error('No fragments given');
+  }
+
+  const fragments = fragmentFiles.map(file => {
+    const content = fs.readFileSync(file, 'utf8');
+    if (key === null && !isContainer(content)) {
+      throw new Error(`${file} is not an encoded fragment (no container header found)`);
+    }
+    const container = decodeContainer(content, { strict: verify, key });
+    const fragment = parseFragmentField(container);
+    if (!fragment) {
+      throw new Error(`${file} is a complete payload, not a fragment (use decode)`);
+    }
+    if (verify) {
+      try {
+        verifyBlocks(container);
+      } catch (error) {
+        throw new Error(`Fragment ${fragment.sequence} (${file}): ${error.message}`);
+      }
+    }
+    return { file, container, fragment };
+  });
+
+  const ordered = orderFragments(fragments);
+  const [{ container: first, fragment }] = ordered;
+
+  if (verbose) {
+    console.log('\n╔════════════════════════════════════════════════════════════╗');
+    console.log('║                     JOINING FRAGMENTS                      ║');
+    console.log('╚════════════════════════════════════════════════════════════╝\n');
+    console.log(`🆔 Payload ID: ${fragment.id}`);
+    for (const entry of ordered) {
+      console.log(`🧩 Fragment ${entry.fragment.sequence}/${fragment.total}: ${entry.file} (${entry.container.payload.length.toLocaleString()} bytes, scheme ${entry.container.scheme})`);
+    }
   }
 
-  // Decompress if necessary
-  let finalBuffer = decodedBuffer;
-  if (isCompressed) {
+  const stored = Buffer.concat(ordered.map(entry => entry.container.payload));
+  let finalBuffer = stored;
+  if (first.compressed) {
     if (verbose) console.log('🔓 Decompressing content...');
-    finalBuffer = await decompressBuffer(decodedBuffer);
+    finalBuffer = await decompressBuffer(stored);
+  }
+
+  if (verify) {
+    const algorithm = verifyChecksum(first, finalBuffer);
+    if (verbose && algorithm) console.log(`🛡️  Integrity: ${algorithm} verified`);
+  } else if (verbose) {
+    console.log('⚠️  Integrity verification skipped (--no-verify)');
   }
 
-  // Generate output name
   if (!outputFile) {
-    if (inputFile.endsWith('.encoded')) {
-      outputFile = inputFile.replace(/\.encoded$/, '.decoded');
-    } else if (isRunnable) {
-      outputFile = inputFile.replace(/\.encoded$/, '') + '.decoded';
-    } else {
-      outputFile = inputFile + '.decoded';
-    }
+    outputFile = ordered[0].file.replace(/\.part\d+\.encoded$/, '') + '.decoded';
   }
 
-  fs.writeFileSync(outputFile, finalBuffer);
+  writeOutput(outputFile, finalBuffer);
 
   if (verbose) {
-    console.log(`\n✅ Decoded file: ${outputFile}`);
+    console.log(`\n✅ Joined file: ${outputName(outputFile)}${first.fileName ? ` (original name "${first.fileName}")` : ''}`);
     console.log(`📊 Recovered size: ${finalBuffer.length.toLocaleString()} bytes`);
-    console.log('\n✨ Decoding completed\n');
+    console.log('\n✨ Joining completed\n');
+  } else {
+    console.log(`✅ Joined: ${fragment.total} fragments → ${outputName(outputFile)} (${finalBuffer.length.toLocaleString()} bytes)`);
+  }
+
+  return { id: fragment.id, total: fragment.total, fileName: first.fileName, size: finalBuffer.length };
+}
+
+// ==================== WATERMARK ====================
+
+function watermark(docFile, outputFile = null, options = {}) {
+  const { id = null, key = null, scheme = 'binary', every = 8 } = options;
+
+  if (typeof id !== 'string' || id.length === 0) {
+    throw new Error('A recipient id is required (--id alice)');
+  }
+  if (Buffer.byteLength(id, 'utf8') > WATERMARK_MAX_ID) {
+    throw new Error(`The recipient id is too long (${Buffer.byteLength(id, 'utf8')} bytes, at most ${WATERMARK_MAX_ID})`);
+  }
+  if (key === null) {
+    throw new Error('A key is required (--key secret); trace needs the same key');
+  }
+  checkKey(key);
+  if (!Number.isInteger(every) || every < 1) {
+    throw new Error('--every must be a whole number of words (1 or more)');
+  }
+  if (!getScheme(scheme).symbols) {
+    throw new Error(`Watermarks need a scheme with a symbol alphabet ("${scheme}" only has encode/decode functions)`);
+  }
+
+  if (!outputFile) {
+    outputFile = docFile === STDIO ? STDIO : docFile + '.watermarked';
+  }
+
+  const doc = readInput(docFile, 'utf8');
+  checkCover(doc, scheme);
+  const points = insertionPoints(doc, 'spread').filter((_, index) => index % every === 0);
+  if (points.length === 0) {
+    throw new Error('The document has no words to carry a watermark');
+  }
+
+  const copy = encodeWatermark(id, key, scheme);
+  let text = '';
+  let last = 0;
+  for (const point of points) {
+    text += doc.slice(last, point) + copy;
+    last = point;
+  }
+  writeOutput(outputFile, text + doc.slice(last), 'utf8');
+
+  console.log(`✅ Watermarked: ${inputName(docFile)} → ${outputName(outputFile)} (${points.length.toLocaleString()} copies of "${id}", ${Array.from(copy).length} invisible characters each)`);
+
+  return { id, copies: points.length };
+}
+
+// ==================== TRACE ====================
+
+function trace(inputFile, options = {}) {
+  const { key = null } = options;
+
+  if (key === null) {
+    throw new Error('A key is required (--key secret), the one the document was watermarked with');
+  }
+  checkKey(key);
+
+  const text = readInput(inputFile, 'utf8');
+  const runs = invisibleRuns(text);
+  const schemes = [...SCHEMES.values()].filter(scheme => scheme.symbols);
+
+  const found = new Map();
+  let unmatched = 0;
+  for (const run of runs) {
+    const id = schemes.reduce((match, scheme) => match !== null ? match : decodeWatermark(run.text, key, scheme.name), null);
+    if (id === null) {
+      unmatched++;
+    } else if (found.has(id)) {
+      found.get(id).positions.push(run.position);
+    } else {
+      found.set(id, { id, positions: [run.position] });
+    }
+  }
+
+  const ids = [...found.values()]
+    .map(({ id, positions }) => ({ id, copies: positions.length, positions }))
+    .sort((a, b) => b.copies - a.copies);
+
+  console.log('\n╔════════════════════════════════════════════════════════════╗');
+  console.log('║                      WATERMARK TRACE                       ║');
+  console.log('╚════════════════════════════════════════════════════════════╝\n');
+  console.log(`📄 File: ${inputName(inputFile)}`);
+  console.log(`🔍 Invisible runs: ${runs.length.toLocaleString()}`);
+
+  if (ids.length === 0) {
+    console.log('\n❌ No watermark found for this key');
+  } else {
+    console.log('');
+    for (const { id, copies, positions } of ids) {
+      console.log(`🆔 ${id}: ${copies.toLocaleString()} cop${copies === 1 ? 'y' : 'ies'} (first at position ${positions[0]})`);
+    }
+    if (ids.length > 1) {
+      console.log('\n⚠️  Several recipients found: the text mixes watermarked copies');
+    }
+  }
+  if (unmatched > 0) {
+    console.log(`ℹ️  ${unmatched.toLocaleString()} run(s) of invisible characters carry no watermark for this key`);
+  }
+
+  console.log('\n✨ Trace completed\n');
+
+  return { ids, runs: runs.length, unmatched };
+}
+
+// ==================== VERIFY ====================
+
+function verify(inputFile, options = {}) {
+  const { pubkey = null, signatureFile = null, key = null } = options;
+
+  console.log('\n╔════════════════════════════════════════════════════════════╗');
+  console.log('║                  SIGNATURE VERIFICATION                    ║');
+  console.log('╚════════════════════════════════════════════════════════════╝\n');
+  console.log(`📄 File: ${inputName(inputFile)}`);
+
+  let result;
+  if (signatureFile) {
+    if (!pubkey) {
+      throw new Error('Detached signatures can only be checked against a public key (--pubkey pub.pem)');
+    }
+    console.log(`✍️  Detached signature: ${signatureFile}`);
+    checkSingleStdin(inputFile, signatureFile);
+    result = verifyDetached(readInput(inputFile), readInput(signatureFile, 'utf8'), pubkey);
+  } else {
+    let content = readInput(inputFile, 'utf8');
+    if (isRunnableFile(content)) {
+      content = extractRunnableContent(content);
+      if (!content) throw new Error('Could not extract content from runnable file');
+      console.log('🏃 Runnable file: checking the embedded content');
+    }
+    if (key === null && !isContainer(content)) {
+      throw new Error('No container header found: legacy payloads cannot carry a signature');
+    }
+    result = verifyContainerSignature(decodeContainer(content, { key }), { pubkey });
+  }
+
+  const ok = result.valid && result.trusted !== false;
+  console.log(`${ok ? '✅' : '❌'} Signature: ${describeSignature(result)}`);
+  console.log('\n✨ Verification completed\n');
+
+  return result;
+}
+
+// ==================== ANALYZE ====================
+
+function analyze(inputFile, options = {}) {
+  const { sarif = false } = options;
+  const language = inputLanguage(inputFile, options.language || null);
+
+  console.log('\n╔════════════════════════════════════════════════════════════╗');
+  console.log('║              INVISIBLE CHARACTERS ANALYSIS                 ║');
+  console.log('╚════════════════════════════════════════════════════════════╝\n');
+
+  const content = readInput(inputFile, 'utf8');
+  const analysis = analyzeInvisibles(content, { language });
+
+  console.log(`📄 File: ${inputName(inputFile)}`);
+  console.log(`📊 Size: ${Array.from(content).length.toLocaleString()} characters`);
+  console.log(`📊 Bytes: ${Buffer.from(content, 'utf8').length.toLocaleString()} bytes\n`);
+
+  if (analysis.hasInvisibles) {
+    console.log(`✅ Contains invisible characters: YES`);
+    console.log(`📈 Total count: ${analysis.invisibleCount.toLocaleString()}`);
+    console.log(`🔢 Different types: ${analysis.found.length}\n`);
+
+    console.log('📋 Types found:');
+    analysis.found.forEach((char, index) => {
+      console.log(`   ${index + 1}. ${char}`);
+    });
+
+    const printPosition = pos => {
+      console.log(`   ${pos.line}:${pos.column} ${pos.char} (${pos.unicode}), grapheme ${pos.graphemeColumn}, byte ${pos.byteOffset}: ${pos.context}`);
+    };
+    if (analysis.positions.length <= 20) {
+      console.log('\n📍 Positions:');
+      analysis.positions.forEach(printPosition);
+    } else {
+      console.log(`\n📍 Showing first 20 positions of ${analysis.positions.length}:`);
+      analysis.positions.slice(0, 20).forEach(printPosition);
+      console.log(`   ... and ${analysis.positions.length - 20} more`);
+    }
+  } else {
+    console.log(`❌ Contains invisible characters: NO`);
+  }
+
+  if (analysis.payloads.length > 0) {
+    console.log('\n📦 Encoded payloads:');
+    analysis.payloads.forEach(payload => {
+      console.log(`   Pos ${payload.position}: ${payload.scheme} scheme${payload.ecc ? ' (error-corrected)' : ''}`);
+    });
+  }
+
+  if (analysis.smuggledText.length > 0) {
+    console.log(`\n🚨 Tag character smuggling: ${analysis.smuggledText.length} hidden text run(s)`);
+    analysis.smuggledText.forEach(run => {
+      const preview = run.text.length > 80 ? `${run.text.slice(0, 80)}...` : run.text;
+      console.log(`   Pos ${run.position}: ${JSON.stringify(preview)}`);
+    });
+  }
+
+  if (analysis.bidi.length > 0) {
+    console.log(`\n🚨 Trojan Source: ${analysis.bidi.length} bidi finding(s), highest severity ${bidiSeverity(analysis.bidi).toUpperCase()}`);
+    analysis.bidi.slice(0, 20).forEach(finding => {
+      console.log(`   [${finding.severity}] ${finding.line}:${finding.column} ${finding.rule} (${finding.context}): ${finding.message}`);
+    });
+    if (analysis.bidi.length > 20) {
+      console.log(`   ... and ${analysis.bidi.length - 20} more`);
+    }
+  }
+
+  if (analysis.confusables.length > 0) {
+    console.log(`\n🎭 Confusables: ${analysis.confusables.length} lookalike word(s)`);
+    analysis.confusables.slice(0, 20).forEach(finding => {
+      console.log(`   [${finding.severity}] ${finding.line}:${finding.column} ${finding.rule}: ${finding.message}`);
+    });
+    if (analysis.confusables.length > 20) {
+      console.log(`   ... and ${analysis.confusables.length - 20} more`);
+    }
+  }
+
+  console.log('\n✨ Analysis completed\n');
+
+  const report = {
+    file: inputName(inputFile),
+    language,
+    characters: Array.from(content).length,
+    bytes: Buffer.byteLength(content, 'utf8'),
+    ...analysis
+  };
+  if (sarif) {
+    report.sarif = sarifLog([{ file: inputName(inputFile), text: content, analysis }]);
+  }
+  return report;
+}
+
+// ==================== SCAN ====================
+
+// Files whose first bytes hold a NUL are binary (the check git uses)
+const BINARY_SNIFF_SIZE = 8000;
+const SCAN_FIRST_LOCATIONS = 3;
+
+// Translates one .gitignore glob into a regular expression source:
+// "*" and "?" stay inside a path segment, "**/" spans directories
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      const slash = glob[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && glob.indexOf(']', i + 2) !== -1) {
+      const end = glob.indexOf(']', i + 2);
+      source += `[${glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+      i = end;
+    } else {
+      if (char === '\\' && i + 1 < glob.length) i++;
+      source += glob[i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+  return source;
+}
+
+// Parses .gitignore lines into rules for paths below base (relative to the
+// scanned root, '' for the root itself)
+function parseIgnorePatterns(text, base = '') {
+  const rules = [];
+  for (const rawLine of text.split(/\r?\n/)) {
+    let line = rawLine.replace(/(?<!\\)\s+$/, '');
+    if (line === '' || line.startsWith('#')) continue;
+
+    const negate = line.startsWith('!');
+    if (negate) line = line.slice(1);
+    if (line.startsWith('\\#') || line.startsWith('\\!')) line = line.slice(1);
+
+    const dirOnly = line.endsWith('/');
+    if (dirOnly) line = line.slice(0, -1);
+    // A slash at the start or in the middle anchors the pattern to base
+    const anchored = line.includes('/');
+    if (line.startsWith('/')) line = line.slice(1);
+    if (line === '') continue;
+
+    const source = globToRegExp(line);
+    rules.push({ base, negate, dirOnly, regex: new RegExp(anchored ? `^${source}$` : `(?:^|/)${source}$`) });
+  }
+  return rules;
+}
+
+// The last matching rule wins, as in git
+function isIgnored(relativePath, isDirectory, rules) {
+  let ignored = false;
+  for (const { base, negate, dirOnly, regex } of rules) {
+    if (dirOnly && !isDirectory) continue;
+    if (base !== '' && !relativePath.startsWith(base + '/')) continue;
+    if (regex.test(base === '' ? relativePath : relativePath.slice(base.length + 1))) {
+      ignored = !negate;
+    }
+  }
+  return ignored;
+}
+
+// Lists the files below root, applying every .gitignore on the way down and
+// the extra patterns at the root (after them, so they win over negations).
+// Ignored directories are not entered and symbolic links are not followed.
+// Paths are relative, with "/" separators.
+function walkFiles(root, patterns = []) {
+  const files = [];
+  const extra = parseIgnorePatterns(patterns.join('\n'));
+  let ignored = 0;
+
+  const walk = (dir, relativeDir, inherited) => {
+    let rules = inherited;
+    const ignoreFile = path.join(dir, '.gitignore');
+    if (fs.existsSync(ignoreFile)) {
+      rules = rules.concat(parseIgnorePatterns(fs.readFileSync(ignoreFile, 'utf8'), relativeDir));
+    }
+
+    const entries = fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      if (entry.name === '.git') continue;
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      if (isIgnored(relativePath, entry.isDirectory(), rules.concat(extra))) {
+        ignored++;
+      } else if (entry.isDirectory()) {
+        walk(path.join(dir, entry.name), relativePath, rules);
+      } else if (entry.isFile()) {
+        files.push(relativePath);
+      }
+    }
+  };
+
+  walk(root, '', []);
+  return { files, ignored };
+}
+
+// Reports every text file below dir that contains invisible or bidi control
+// characters, with counts and the first locations, or confusable words, with
+// the analyze findings
+function scan(dir, options = {}) {
+  const { ignore = [], sarif = false, language = null } = options;
+  // An unknown language fails before the walk
+  inputLanguage(dir, language);
+
+  if (!fs.existsSync(dir)) {
+    throw new Error(`Directory "${dir}" does not exist`);
+  }
+
+  const root = fs.statSync(dir).isDirectory() ? dir : path.dirname(dir);
+  const { files, ignored } = fs.statSync(dir).isDirectory()
+    ? walkFiles(dir, ignore)
+    : { files: [path.basename(dir)], ignored: 0 };
+
+  const report = { root: dir, scanned: 0, skipped: { binary: 0, ignored }, findings: [] };
+  const artifacts = [];
+  for (const file of files) {
+    const buffer = fs.readFileSync(path.join(root, file));
+    if (buffer.subarray(0, BINARY_SNIFF_SIZE).includes(0)) {
+      report.skipped.binary++;
+      continue;
+    }
+    report.scanned++;
+
+    const text = buffer.toString('utf8');
+    const analysis = analyzeInvisibles(text, { language: inputLanguage(file, language) });
+    if (!analysis.hasInvisibles && analysis.confusables.length === 0) continue;
+
+    if (sarif) artifacts.push({ file, text, analysis });
+    report.findings.push({
+      file,
+      invisibleCount: analysis.invisibleCount,
+      bidiCount: analysis.positions.filter(pos => BIDI_CONTROLS.test(String.fromCodePoint(pos.codePoint))).length,
+      bidiSeverity: bidiSeverity(analysis.bidi),
+      counts: analysis.counts,
+      first: analysis.positions.slice(0, SCAN_FIRST_LOCATIONS).map(pos => ({
+        line: pos.line,
+        column: pos.column,
+        position: pos.position,
+        char: pos.char,
+        unicode: pos.unicode
+      })),
+      confusables: analysis.confusables
+    });
+  }
+
+  console.log('\n╔════════════════════════════════════════════════════════════╗');
+  console.log('║                   HIDDEN CHARACTER SCAN                    ║');
+  console.log('╚════════════════════════════════════════════════════════════╝\n');
+  console.log(`📁 Directory: ${dir}`);
+  console.log(`📊 Files scanned: ${report.scanned.toLocaleString()}`);
+  console.log(`⏭️  Skipped: ${report.skipped.binary.toLocaleString()} binary, ${report.skipped.ignored.toLocaleString()} ignored\n`);
+
+  if (report.findings.length === 0) {
+    console.log('✅ No hidden characters or confusables found');
   } else {
-    console.log(`✅ Decoded: ${inputFile} → ${outputFile} (${finalBuffer.length.toLocaleString()} bytes)`);
+    console.log(`🚨 ${report.findings.length.toLocaleString()} file(s) with hidden characters or confusables:\n`);
+    for (const { file, invisibleCount, bidiCount, bidiSeverity: severity, first, confusables } of report.findings) {
+      const counts = [
+        invisibleCount > 0 ? `${invisibleCount.toLocaleString()} invisible` : null,
+        bidiCount > 0 ? `${bidiCount.toLocaleString()} bidi control(s)` : null,
+        confusables.length > 0 ? `${confusables.length.toLocaleString()} confusable word(s)` : null
+      ].filter(Boolean);
+      console.log(`⚠️  ${file}: ${counts.join(', ')}${severity ? ` (Trojan Source: ${severity})` : ''}`);
+      for (const { line, column, char, unicode } of first) {
+        console.log(`   ${line}:${column} ${char} (${unicode})`);
+      }
+      if (invisibleCount > first.length) {
+        console.log(`   ... and ${(invisibleCount - first.length).toLocaleString()} more`);
+      }
+      for (const finding of confusables.slice(0, SCAN_FIRST_LOCATIONS)) {
+        console.log(`   [${finding.severity}] ${finding.line}:${finding.column} ${finding.rule}: ${finding.message}`);
+      }
+      if (confusables.length > SCAN_FIRST_LOCATIONS) {
+        console.log(`   ... and ${(confusables.length - SCAN_FIRST_LOCATIONS).toLocaleString()} more`);
+      }
+    }
+  }
+
+  console.log('\n✨ Scan completed\n');
+
+  if (sarif) {
+    report.sarif = sarifLog(artifacts, root);
+  }
+  return report;
+}
+
+// ==================== SARIF ====================
+
+const SARIF_VERSION = '2.1.0';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_LEVELS = { low: 'note', medium: 'warning', high: 'error', critical: 'error' };
+// Scores that code-scanning tools use to rank security alerts
+const SARIF_SECURITY_SEVERITY = { low: '3.0', medium: '5.0', high: '7.5', critical: '9.0' };
+
+// Rules for the invisible characters themselves, one per character category
+const INVISIBLE_RULES = {
+  'zero-width': { severity: 'medium', description: 'Zero-width character (ZWSP, ZWNJ, ZWJ, word joiner, BOM, soft hyphen...)' },
+  'bidi-control': { severity: 'high', description: 'Bidirectional control character (embedding, override, isolate or mark)' },
+  'tag-character': { severity: 'high', description: 'Unicode tag character, able to smuggle hidden text' },
+  'variation-selector': { severity: 'medium', description: 'Variation selector' },
+  'other-invisible': { severity: 'low', description: 'Other invisible character (no-break space or a registered scheme symbol)' }
+};
+
+function invisibleCategory(codePoint) {
+  if (isBidiControl(codePoint)) return 'bidi-control';
+  if (codePoint >= 0xE0000 && codePoint <= 0xE007F) return 'tag-character';
+  if ((codePoint >= 0xFE00 && codePoint <= 0xFE0F) || (codePoint >= 0xE0100 && codePoint <= 0xE01EF)) {
+    return 'variation-selector';
   }
+  const inDictionary = Object.values(invisibleChars.dictionary).some(c => c.code === codePoint);
+  return inDictionary && codePoint !== invisibleChars.dictionary.NBSP.code ? 'zero-width' : 'other-invisible';
 }
 
-// ==================== ANALYZE ====================
-
-function analyze(inputFile) {
-  console.log('\n╔════════════════════════════════════════════════════════════╗');
-  console.log('║              INVISIBLE CHARACTERS ANALYSIS                 ║');
-  console.log('╚════════════════════════════════════════════════════════════╝\n');
+// Relative paths stay relative (to %SRCROOT% or the working directory)
+function sarifUri(file) {
+  return path.isAbsolute(file) ? url.pathToFileURL(file).href : encodeURI(file.split(path.sep).join('/'));
+}
 
-  const content = fs.readFileSync(inputFile, 'utf8');
-  const analysis = analyzeInvisibles(content);
+// Groups adjacent invisible characters of the same category, so a payload
+// is one result instead of one per character
+function categoryRuns(positions) {
+  const runs = [];
+  for (const pos of positions) {
+    const category = invisibleCategory(pos.codePoint);
+    const last = runs[runs.length - 1];
+    if (last && last.category === category && last.end === pos.position) {
+      last.chars.push(pos);
+    } else {
+      runs.push({ category, start: pos.position, chars: [pos] });
+    }
+    runs[runs.length - 1].end = pos.position + (pos.codePoint > 0xFFFF ? 2 : 1);
+  }
+  return runs;
+}
 
-  console.log(`📄 File: ${inputFile}`);
-  console.log(`📊 Size: ${content.length.toLocaleString()} characters`);
-  console.log(`📊 Bytes: ${Buffer.from(content, 'utf8').length.toLocaleString()} bytes\n`);
+// group tags the rule as invisible, trojan-source or confusable, so tools can
+// filter on the kind of finding
+function sarifRule(id, { severity, description }, group) {
+  return {
+    id,
+    name: id.replace(/(^|-)(\w)/g, (_, dash, letter) => letter.toUpperCase()),
+    shortDescription: { text: description },
+    defaultConfiguration: { level: SARIF_LEVELS[severity] },
+    properties: { tags: ['security', group], 'security-severity': SARIF_SECURITY_SEVERITY[severity] }
+  };
+}
 
-  if (analysis.hasInvisibles) {
-    console.log(`✅ Contains invisible characters: YES`);
-    console.log(`📈 Total count: ${analysis.invisibleCount.toLocaleString()}`);
-    console.log(`🔢 Different types: ${analysis.found.length}\n`);
+// Builds a SARIF 2.1.0 log from analyzeInvisibles() results. artifacts are
+// { file, text, analysis }, with file relative to root when a root is given.
+// Runs of invisible characters carry a fix deleting what clean() removes;
+// Trojan Source and confusable findings are reported under their own rules,
+// a lookalike word with the word it imitates as related location.
+function sarifLog(artifacts, root = null) {
+  const ruleSets = { invisible: INVISIBLE_RULES, 'trojan-source': BIDI_RULES, confusable: CONFUSABLE_RULES };
+  const rules = Object.entries(ruleSets).flatMap(([group, set]) => Object.entries(set).map(([id, rule]) => sarifRule(id, rule, group)));
+  const ruleIndex = new Map(rules.map((rule, index) => [rule.id, index]));
+
+  const results = [];
+  for (const { file, text, analysis } of artifacts) {
+    const artifactLocation = root === null ? { uri: sarifUri(file) } : { uri: sarifUri(file), uriBaseId: 'SRCROOT' };
+    const result = (ruleId, severity, message, region, extra = {}) => {
+      results.push({
+        ruleId,
+        ruleIndex: ruleIndex.get(ruleId),
+        level: SARIF_LEVELS[severity],
+        message: { text: message },
+        locations: [{ physicalLocation: { artifactLocation, region } }],
+        ...extra
+      });
+    };
+    const wordRegion = (line, column, token) =>
+      ({ startLine: line, startColumn: column, endLine: line, endColumn: column + Array.from(token).length });
+
+    for (const run of categoryRuns(analysis.positions)) {
+      const { line, column } = run.chars[0];
+      const region = { startLine: line, startColumn: column, endLine: line, endColumn: column + run.chars.length };
+      const names = [...new Set(run.chars.map(pos => `${pos.char} (${pos.unicode})`))];
+      const message = run.chars.length === 1
+        ? names[0]
+        : `${run.chars.length} invisible characters: ${names.slice(0, 3).join(', ')}${names.length > 3 ? ', ...' : ''}`;
+      const removable = removeInvisibles(text.slice(run.start, run.end)) === '';
+      result(run.category, INVISIBLE_RULES[run.category].severity, message, region, removable
+        ? {
+          fixes: [{
+            description: { text: `Remove the invisible character${run.chars.length === 1 ? '' : 's'} (invjsible clean)` },
+            artifactChanges: [{ artifactLocation, replacements: [{ deletedRegion: region }] }]
+          }]
+        }
+        : {});
+    }
 
-    console.log('📋 Types found:');
-    analysis.found.forEach((char, index) => {
-      console.log(`   ${index + 1}. ${char}`);
-    });
+    for (const finding of analysis.bidi) {
+      // A reordered line is reported on the whole line
+      result(finding.rule, finding.severity, finding.message, finding.rule === 'bidi-reordered-line'
+        ? { startLine: finding.line }
+        : { startLine: finding.line, startColumn: finding.column, endLine: finding.line, endColumn: finding.column + 1 });
+    }
 
-    if (analysis.positions.length <= 20) {
-      console.log('\n📍 Positions:');
-      analysis.positions.forEach(pos => {
-        console.log(`   Pos ${pos.position}: ${pos.char} (${pos.unicode})`);
-      });
-    } else {
-      console.log(`\n📍 Showing first 20 positions of ${analysis.positions.length}:`);
-      analysis.positions.slice(0, 20).forEach(pos => {
-        console.log(`   Pos ${pos.position}: ${pos.char} (${pos.unicode})`);
-      });
-      console.log(`   ... and ${analysis.positions.length - 20} more`);
+    for (const finding of analysis.confusables) {
+      const { similarTo } = finding;
+      result(finding.rule, finding.severity, finding.message, wordRegion(finding.line, finding.column, finding.token), similarTo
+        ? {
+          relatedLocations: [{
+            id: 1,
+            message: { text: `"${similarTo.token}"` },
+            physicalLocation: { artifactLocation, region: wordRegion(similarTo.line, similarTo.column, similarTo.token) }
+          }]
+        }
+        : {});
     }
-  } else {
-    console.log(`❌ Contains invisible characters: NO`);
   }
 
-  console.log('\n✨ Analysis completed\n');
+  const run = {
+    tool: { driver: { name: 'invjsible', informationUri: 'https://github.com/stringmanolo/invjsible', rules } },
+    // Columns count code points, as in the rest of invjsible
+    columnKind: 'unicodeCodePoints',
+    results
+  };
+  if (root !== null) {
+    run.originalUriBaseIds = { SRCROOT: { uri: url.pathToFileURL(path.resolve(root) + path.sep).href } };
+  }
+
+  return { $schema: SARIF_SCHEMA, version: SARIF_VERSION, runs: [run] };
 }
 
 // ==================== CLEAN ====================
@@ -415,24 +4966,73 @@ function clean(inputFile, outputFile = null) {
   console.log('║              INVISIBLE CHARACTERS CLEANUP                  ║');
   console.log('╚════════════════════════════════════════════════════════════╝\n');
 
-  const content = fs.readFileSync(inputFile, 'utf8');
-  const originalSize = content.length;
+  const content = readInput(inputFile, 'utf8');
+  const originalSize = Array.from(content).length;
   const cleaned = removeInvisibles(content);
-  const cleanedSize = cleaned.length;
+  const cleanedSize = Array.from(cleaned).length;
   const removed = originalSize - cleanedSize;
 
   if (!outputFile) {
-    outputFile = inputFile.replace(/(\.[^.]+)$/, '.cleaned$1');
+    outputFile = inputFile === STDIO ? STDIO : inputFile.replace(/(\.[^.]+)$/, '.cleaned$1');
   }
 
-  fs.writeFileSync(outputFile, cleaned, 'utf8');
+  writeOutput(outputFile, cleaned, 'utf8');
 
-  console.log(`📄 Original file: ${inputFile}`);
+  console.log(`📄 Original file: ${inputName(inputFile)}`);
   console.log(`📊 Original size: ${originalSize.toLocaleString()} characters`);
   console.log(`🧹 Characters removed: ${removed.toLocaleString()}`);
   console.log(`📊 Clean size: ${cleanedSize.toLocaleString()} characters`);
-  console.log(`💾 File saved: ${outputFile}\n`);
+  console.log(`💾 File saved: ${outputName(outputFile)}\n`);
   console.log('✨ Cleanup completed\n');
+
+  return { input: inputName(inputFile), output: outputName(outputFile), originalCharacters: originalSize, cleanCharacters: cleanedSize, removed };
+}
+
+// ==================== KEYGEN ====================
+
+const KEY_TYPES = {
+  x25519: 'X25519 (recipient encryption)',
+  ed25519: 'Ed25519 (payload signing)'
+};
+
+function keygen(outputBase = 'invjsible', options = {}) {
+  const { type = 'x25519' } = options;
+
+  if (!KEY_TYPES[type]) {
+    throw new Error(`Unknown key type "${type}" (use ${Object.keys(KEY_TYPES).join(' or ')})`);
+  }
+
+  // With "-" both PEM blocks go to stdout, the private key first
+  const toStdout = outputBase === STDIO;
+  const privateFile = toStdout ? 'stdout' : `${outputBase}.pem`;
+  const publicFile = toStdout ? 'stdout' : `${outputBase}.pub.pem`;
+  for (const file of toStdout ? [] : [privateFile, publicFile]) {
+    if (fs.existsSync(file)) {
+      throw new Error(`Refusing to overwrite existing key file "${file}"`);
+    }
+  }
+
+  const { publicKey, privateKey } = crypto.generateKeyPairSync(type, {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+
+  if (toStdout) {
+    process.stdout.write(privateKey + publicKey);
+  } else {
+    fs.writeFileSync(privateFile, privateKey, { encoding: 'utf8', mode: 0o600 });
+    fs.writeFileSync(publicFile, publicKey, 'utf8');
+  }
+
+  console.log('\n╔════════════════════════════════════════════════════════════╗');
+  console.log('║                    KEY PAIR GENERATION                     ║');
+  console.log('╚════════════════════════════════════════════════════════════╝\n');
+  console.log(`🔑 Type: ${KEY_TYPES[type]}`);
+  console.log(`🔒 Private key: ${privateFile} (keep it secret)`);
+  console.log(`📤 Public key: ${publicFile} (share it)\n`);
+  console.log('✨ Key generation completed\n');
+
+  return { type, privateKey: privateFile, publicKey: publicFile };
 }
 
 // ==================== LIST ====================
@@ -445,9 +5045,23 @@ function list() {
   console.log('🔹 Encoding characters:');
   console.log(`   0: Zero Width Space (U+200B)`);
   console.log(`   1: Zero Width Non-Joiner (U+200C)`);
-  console.log(`\n🔹 Compression marker:`);
+  console.log(`\n🔹 Container header marker:`);
+  console.log(`   HEADER: Word Joiner (U+2060)`);
+  console.log(`\n🔹 Compression marker: (legacy files)`);
   console.log(`   COMPRESSED: Zero Width Joiner (U+200D)`);
 
+  console.log('\n🔹 Registered schemes (--scheme):');
+  SCHEMES.forEach(({ name, bits, selector, headerless, label }) => {
+    if (!bits) {
+      console.log(`   ${name.padEnd(9)} ${label}`);
+      return;
+    }
+    const marker = selector
+      ? `selector ${codePointLabel(selector)}`
+      : headerless ? 'no header marker' : 'no selector';
+    console.log(`   ${name.padEnd(9)} ${bits} bit${bits > 1 ? 's' : ' '}/char, ${marker}: ${label}`);
+  });
+
   console.log('\n🔹 Complete invisible characters dictionary:\n');
 
   const entries = Object.entries(invisibleChars.dictionary);
@@ -457,6 +5071,17 @@ function list() {
   });
 
   console.log(`\n📊 Total: ${entries.length} documented invisible characters\n`);
+
+  return {
+    schemes: [...SCHEMES.values()].map(({ name, bits, selector, headerless, label }) => ({
+      name,
+      bits: bits || null,
+      selector: selector ? codePointLabel(selector) : null,
+      headerless: Boolean(headerless),
+      label
+    })),
+    characters: entries.map(([key, value]) => ({ key, code: value.code, unicode: value.unicode, name: value.name }))
+  };
 }
 
 // ==================== HELP ====================
@@ -470,6 +5095,8 @@ function showHelp() {
 USAGE:
   node invjsible.js <command> [options]
 
+  Any <file> can be - for stdin, and -o - writes to stdout (see PIPES).
+
 COMMANDS:
 
   encode <file> [options]
@@ -478,6 +5105,22 @@ COMMANDS:
     Options:
       --compress        Compare compressed vs uncompressed, use smaller
       --runable         Generate self-extracting JavaScript executable
+      --scheme <name>   binary (default), base4, base8, base16, variation,
+                        tags or a registered scheme (alias: --alphabet)
+      --carrier <text>  Visible character the variation payload follows
+      --key <secret>    Shuffle symbols and positions with a shared key
+      --ecc <level>     Reed-Solomon error correction: low, medium
+                        or high (survives dropped/duplicated characters)
+      --shares <n>      Write n Shamir shares (<output>.share1.encoded ...)
+      --threshold <k>   Shares needed to decode (default: all n)
+      --stream          Stream with constant memory (automatic above
+                        64 MB; --no-stream reads the whole file)
+      --checksum <alg>  Integrity checksum: crc32 (default) or sha256
+      --password [pw]   Encrypt with AES-256-GCM (prompts if no value)
+      --password-file   Read the password from a file
+      --recipient <pem> Encrypt for an X25519 public key (repeatable)
+      --sign <pem>      Sign header and payload with an Ed25519 key
+      --detached        Write the signature to <output>.sig instead
       -o, --output      Output file (default: <file>.encoded)
       -v, --verbose     Show detailed information
 
@@ -490,27 +5133,184 @@ COMMANDS:
       
       # Self-extracting executable
       node invjsible.js encode script.js --compress --runable
+
+      # 4x smaller output (4 bits per character)
+      node invjsible.js encode message.txt --scheme base16
+
+      # One variation selector per byte, attached to an emoji
+      node invjsible.js encode message.txt --scheme variation --carrier 😀
       
       # Verbose mode
       node invjsible.js encode data.json --compress -v
 
-  decode <file> [options]
-    Decode a file with invisible characters
+  decode <file> [<share> ...] [options]
+    Decode a file with invisible characters; pass at least
+    threshold share files to combine --shares payloads
 
     Options:
+      --no-verify       Skip checksum verification (recover damaged data)
+      --stream          Stream with constant memory (automatic above
+                        64 MB; --no-stream reads the whole file)
+      --key <secret>    Key the payload was encoded with
+      --password [pw]   Password for encrypted payloads (prompts if omitted)
+      --password-file   Read the password from a file
+      --identity <pem>  Private key for recipient-encrypted payloads
+      --pubkey <pem>    Require a valid signature by this Ed25519 key
+      --on-bad-signature <refuse|warn>
+                        Invalid signatures abort (default) or warn
       -o, --output      Output file (default: <file>.decoded)
       -v, --verbose     Show detailed information
 
     Examples:
       node invjsible.js decode message.txt.encoded
       node invjsible.js decode encoded.txt -o original.txt
+      node invjsible.js decode secret.txt.share1.encoded secret.txt.share4.encoded secret.txt.share5.encoded
+
+  verify <file> [options]
+    Check the signature of an encoded file (nothing is decoded)
+    Exits with code 1 if the signature is invalid or untrusted
+
+    Options:
+      --pubkey <pem>    Expected signer (Ed25519 public key)
+      --signature <sig> Check a detached signature file
+      --key <secret>    Key the payload was encoded with
+
+    Examples:
+      node invjsible.js verify message.txt.encoded --pubkey alice.pub.pem
+      node invjsible.js verify message.txt.encoded --signature message.txt.encoded.sig --pubkey alice.pub.pem
+
+  embed <payload> --cover <file> [options]
+    Hide a file inside a visible cover text; the cover still
+    reads exactly the same
+
+    Options:
+      --cover <file>    Visible document to hide the payload in
+      --strategy <s>    spread (default, between words), all (after
+                        the first word) or punctuation (after
+                        punctuation marks only)
+      --scheme <name>   Alphabet scheme (default: binary)
+      --compress        Compare compressed vs uncompressed, use smaller
+      --key <secret>    Shuffle symbols and positions with a shared key
+      --checksum <alg>  Integrity checksum: crc32 (default) or sha256
+      --password [pw]   Encrypt with AES-256-GCM (prompts if no value)
+      --password-file   Read the password from a file
+      --recipient <pem> Encrypt for an X25519 public key (repeatable)
+      --sign <pem>      Sign header and payload with an Ed25519 key
+      -o, --output      Output file (default: <cover>.embedded)
+      -v, --verbose     Show detailed information
+
+    Examples:
+      node invjsible.js embed secret.txt --cover article.txt
+      node invjsible.js embed secret.txt --cover article.txt --strategy punctuation --scheme base8
+
+  extract <file> [options]
+    Recover a payload embedded in a cover text
+
+    Options:
+      Same as decode (default output: <file>.extracted)
+
+    Example:
+      node invjsible.js extract article.txt.embedded
+
+  capacity <cover> [options]
+    Show how much a cover text can hide per scheme, and whether
+    a payload fits (directly or with Brotli)
+
+    Options:
+      --payload <file>  Payload to plan for
+      --max-ratio <r>   Invisible characters allowed per visible
+                        character (default: 1)
+      --checksum <alg>  Integrity checksum: crc32 (default) or sha256
+
+    Example:
+      node invjsible.js capacity article.txt --payload secret.txt
+
+  split <file> --parts N [options]
+    Encode a file as N fragments to send through separate carriers;
+    each fragment carries the payload ID, its number and the total
+
+    Options:
+      --parts <n>       Number of fragments (2-65535)
+      --compress        Brotli-compress the file first if smaller
+      --scheme <name>   Alphabet scheme (default: binary)
+      --key <secret>    Shuffle symbols and positions with a shared key
+      --ecc <level>     Reed-Solomon error correction per fragment
+      --checksum <alg>  Integrity checksum: crc32 (default) or sha256
+      -o, --output      Fragment base name (default: <file>), writes
+                        <base>.part1.encoded ... <base>.partN.encoded
+      -v, --verbose     Show detailed information
+
+    Example:
+      node invjsible.js split secret.txt --parts 3 --compress
+
+  join <fragment> [<fragment> ...] [options]
+    Reorder, verify and decode fragments written by split; missing
+    fragments are reported by number
+
+    Options:
+      --key <secret>    Key the fragments were encoded with
+      --no-verify       Skip checksum verification
+      -o, --output      Output file (default: <base>.decoded)
+      -v, --verbose     Show detailed information
+
+    Example:
+      node invjsible.js join secret.txt.part*.encoded
+
+  watermark <doc> --id <recipient> --key <secret> [options]
+    Hide a keyed recipient id after every few words of a document,
+    so a leaked copy or excerpt can be traced back
+
+    Options:
+      --id <name>       Recipient id (up to 32 bytes)
+      --key <secret>    Key shared with trace
+      --every <n>       Words between copies (default: 8)
+      --scheme <name>   Alphabet scheme (default: binary)
+      -o, --output      Output file (default: <doc>.watermarked)
+
+    Example:
+      node invjsible.js watermark memo.txt --id alice --key "our secret" -o memo-alice.txt
+
+  trace <file> --key <secret>
+    Find the recipient ids watermarked in a document or excerpt
+    Exits with code 1 if no watermark is found
+
+    Example:
+      node invjsible.js trace leaked.txt --key "our secret"
 
   analyze <file>
-    Analyze and show invisible characters in a file
+    Analyze and show invisible characters in a file, and check
+    bidi controls for Trojan Source reordering (CVE-2021-42574)
+    and words for homoglyphs (Cyrillic "а" in "pаypal")
+    Each character is listed as line:column with its grapheme
+    column, UTF-8 byte offset and the text around it
+    (exit code 0: clean, 2: invisible characters or high-severity
+    confusables)
+
+    Options:
+      --language <l>    code or prose (default: prose for .txt, .md
+                        and similar files, code otherwise)
+      --format <f>      Report format: text (default), json or sarif
 
     Example:
       node invjsible.js analyze document.txt
 
+  scan <dir> [options]
+    Report every text file below a directory that contains
+    invisible or bidi control characters or confusable words,
+    honouring .gitignore files and skipping binary files
+    (exit code 0: clean, 2: hidden characters or high-severity
+    confusables found)
+
+    Options:
+      --ignore <glob>   Extra .gitignore-style pattern (repeatable)
+      --language <l>    code or prose for every file (default: by
+                        extension, as in analyze)
+      --format <f>      Report format: text (default), json or sarif
+
+    Example:
+      node invjsible.js scan src --ignore "*.min.js"
+      node invjsible.js scan . --format sarif > invjsible.sarif
+
   clean <file> [options]
     Remove all invisible characters from a file
 
@@ -520,6 +5320,18 @@ COMMANDS:
     Example:
       node invjsible.js clean document.txt
 
+  keygen [options]
+    Generate a key pair for recipient encryption or signing
+
+    Options:
+      -o, --output      Key file base name (default: invjsible)
+                        Writes <name>.pem (private) and <name>.pub.pem
+      --type <type>     Key type: x25519 (default) or ed25519
+
+    Examples:
+      node invjsible.js keygen -o alice
+      node invjsible.js keygen -o alice-signing --type ed25519
+
   list
     Show all available invisible characters
 
@@ -566,8 +5378,166 @@ COMPRESSION:
   
   Output is ALWAYS invisible characters (text file)
   
-  If compressed, file starts with compression marker (U+200D)
-  Decoding is automatic based on marker detection
+  Compression is recorded as a flag in the container header
+  Decoding is automatic based on the header
+
+CONTAINER FORMAT:
+
+  Every encoded payload starts with a header marker (U+2060)
+  followed by a self-describing header: magic "IJS", format
+  version, flags (compressed/encrypted), payload length and
+  the original file name.
+
+  Decoders reject foreign data and truncated payloads instead
+  of writing garbage. Files from older releases (no header,
+  optional U+200D compression marker) are still decoded.
+
+SCHEMES:
+
+  binary     1 bit per character (ZWSP/ZWNJ), 24 UTF-8 bytes per byte
+  base4      2 bits per character, 2x smaller
+  base8      3 bits per character, ~2.8x smaller
+  base16     4 bits per character, ~4x smaller
+  variation  8 bits per character: one Unicode variation
+             selector (U+FE00-FE0F, U+E0100-E01EF) per byte
+  tags       Unicode tag characters (U+E0000-E007F): ASCII text
+             one tag per character, other data as hex digit tags
+
+  Denser alphabets add a selector character after the header
+  marker, so decode picks the scheme automatically. base16
+  includes bidi isolate/embedding controls that can reorder
+  visible text placed right after the payload on the same line.
+
+  Variation selectors need no header marker (the payload starts
+  with the encoded "IJS" magic) and can follow a visible carrier
+  such as an emoji, which many chat apps keep them attached to:
+    node invjsible.js encode note.txt --scheme variation --carrier 😀
+
+  Tag characters mirror ASCII one-to-one ("ASCII smuggling"). Plain
+  ASCII text is written as LANGUAGE TAG + tags + CANCEL TAG, with
+  no header. Binary, compressed, encrypted or signed payloads use
+  a container written as hex digit tags. analyze reports hidden
+  tag text found in any document.
+    node invjsible.js encode note.txt --scheme tags
+
+  Modules can add house schemes with registerScheme(); see
+  the README. "list" shows every registered scheme.
+
+KEYED PAYLOADS:
+
+  With --key the symbol used for each bit pattern and the order
+  of the symbols are derived from a shared secret (HMAC-SHA256
+  seeded shuffles). The output looks the same, but without the
+  key it decodes to noise and is not recognised as a payload.
+  This hides data; it does not encrypt it, so combine it with
+  --password or --recipient for secrecy. Runnable files and tag
+  text cannot be keyed.
+
+    node invjsible.js encode note.txt --scheme base16 --key "our secret"
+    node invjsible.js decode note.txt.encoded --key "our secret"
+
+INTEGRITY:
+
+  Every payload stores a checksum of the original bytes (CRC32,
+  or SHA-256 with --checksum sha256) plus a CRC32 per 1 KB block
+  of stored data. Decoding fails with "Payload corrupted at
+  byte N" if a character was altered, and runnable files check
+  the checksum before executing. Use --no-verify to skip it.
+
+ERROR CORRECTION:
+
+  Chat apps and editors sometimes drop or duplicate a zero-width
+  character, which shifts every bit after it. With --ecc the
+  payload (after compression) is protected by Reed-Solomon codes
+  and split into blocks separated by U+2063 sync markers. A
+  damaged block is rebuilt from the others; decode reports how
+  many bytes were corrected.
+
+    Level    Overhead   Damaged blocks it survives
+    low      +17%       8 of 56
+    medium   +50%       16 of 48
+    high     +100%      16 of 32
+
+    node invjsible.js encode note.txt --compress --ecc medium
+
+STREAMING:
+
+  Files above 64 MB are encoded and decoded as streams, so
+  memory use stays flat whatever the size. Streamed payloads
+  (container version 2) are written in records, each with its
+  own CRC32, followed by the checksum of the original bytes.
+  --compress always compresses when streaming, as there is no
+  second pass to compare sizes. Runnable, encrypted, signed,
+  keyed, error-corrected and shared payloads are not streamed.
+
+    node invjsible.js encode backup.tar --compress --stream
+    node invjsible.js decode backup.tar.encoded
+
+PIPES:
+
+  Pass - as a file name to read from stdin, and -o - to write
+  to stdout. Commands that read stdin write to stdout unless
+  -o names a file. Progress and summary lines go to stderr
+  whenever the result goes to stdout. split and --shares write
+  several files and need -o; keygen -o - prints both keys.
+
+    cat notes.txt | node invjsible.js encode - --compress > notes.inv
+    curl -s https://example.com/page.txt | node invjsible.js analyze -
+    node invjsible.js decode - < notes.inv | less
+
+JSON OUTPUT:
+
+  --json replaces the console report of any command with one
+  JSON object on stdout (see the README for the fields). Errors
+  print {"error": "..."} and exit with 1. With --json the data
+  cannot go to stdout, so pass -o <file> when reading stdin.
+
+  analyze exits with 0 when the text is clean and 2 when it
+  contains invisible characters or confusables; errors exit
+  with 1.
+
+    node invjsible.js analyze README.md --json | jq .counts
+    node invjsible.js encode notes.txt --compress --json | jq .ratio
+
+  --format json is the same as --json. analyze and scan also
+  accept --format sarif: a SARIF 2.1.0 log for code-scanning
+  tools, with one rule per character category and fixes that
+  delete what clean removes.
+
+ENCRYPTION:
+
+  Invisible is not secret: anyone can run decode. With
+  --password (or --password-file) the payload is encrypted
+  after compression with AES-256-GCM, using a scrypt-derived
+  key, a random salt and a random nonce. A wrong password
+  fails with an authentication error. The original file name
+  and checksum are not stored in clear for encrypted payloads.
+
+    node invjsible.js encode secret.txt --compress --password-file key.txt
+    node invjsible.js decode secret.txt.encoded --password-file key.txt
+
+  For people who cannot share a password, generate X25519 key
+  pairs with keygen and encrypt for one or more public keys.
+  A random content key is wrapped once per recipient.
+
+    node invjsible.js keygen -o bob
+    node invjsible.js encode secret.txt --recipient bob.pub.pem --recipient carol.pub.pem
+    node invjsible.js decode secret.txt.encoded --identity bob.pem
+
+SIGNATURES:
+
+  With --sign the container header and payload are signed with
+  an Ed25519 key; the signature and the signer's public key
+  travel inside the payload. verify checks it without decoding,
+  and decode refuses payloads whose signature does not match
+  (--on-bad-signature warn decodes anyway). Pass --pubkey to
+  pin the expected signer. --detached writes a base64 signature
+  of the encoded file to <output>.sig instead.
+
+    node invjsible.js keygen -o alice --type ed25519
+    node invjsible.js encode release.txt --sign alice.pem
+    node invjsible.js verify release.txt.encoded --pubkey alice.pub.pem
+    node invjsible.js decode release.txt.encoded --pubkey alice.pub.pem
 
 COMPLETE EXAMPLES:
 
@@ -595,13 +5565,76 @@ NOTES:
   - All output is invisible characters (never binary)
   - Compression compares both methods and uses smaller
   - Brotli compression uses maximum level (11)
-  - Decoding is automatic based on marker detection
+  - Decoding is automatic based on header detection
   - Runnable mode creates self-contained executables
   `);
 }
 
 // ==================== CLI PARSER ====================
 
+// Returns the value that follows the first flag present in args, or null
+function getArgValue(args, ...flags) {
+  for (const flag of flags) {
+    const index = args.indexOf(flag);
+    if (index !== -1 && args[index + 1]) {
+      return args[index + 1];
+    }
+  }
+  return null;
+}
+
+// Returns every value that follows a repeatable flag
+function getArgValues(args, flag) {
+  const values = [];
+  args.forEach((arg, index) => {
+    if (arg === flag && args[index + 1]) {
+      values.push(args[index + 1]);
+    }
+  });
+  return values;
+}
+
+// Exit code of analyze and scan when they find invisible characters
+const EXIT_FOUND = 2;
+
+// "-" is a file name (stdin or stdout), any other leading dash a flag
+function isFlag(arg) {
+  return arg.startsWith('-') && arg !== STDIO;
+}
+
+function inputExists(file) {
+  return file === STDIO || fs.existsSync(file);
+}
+
+// True when the command writes its result to stdout, so progress
+// messages must go to stderr to keep the piped data clean
+function writesToStdout(command, args) {
+  const output = getArgValue(args, '--output', '-o');
+  if (output !== null) return output === STDIO;
+  if (command === 'embed') return getArgValue(args, '--cover') === STDIO;
+  return ['encode', 'decode', 'extract', 'watermark', 'clean'].includes(command) && args[1] === STDIO;
+}
+
+// Resolves --password-file / --password into a password (prompting on a TTY
+// when --password has no value), or null when neither flag is present
+async function getPassword(args) {
+  const passwordFile = getArgValue(args, '--password-file');
+  if (passwordFile) {
+    return fs.readFileSync(passwordFile, 'utf8').replace(/\r?\n$/, '');
+  }
+
+  const index = args.indexOf('--password');
+  if (index === -1) return null;
+
+  const value = args[index + 1];
+  if (value && !value.startsWith('-')) return value;
+
+  if (!process.stdin.isTTY) {
+    throw new Error('--password needs a value when stdin is not a terminal');
+  }
+  return await promptPassword();
+}
+
 async function main() {
   const args = process.argv.slice(2);
 
@@ -611,18 +5644,37 @@ async function main() {
   }
 
   const command = args[0];
+  const format = args.includes('--json') ? 'json' : getArgValue(args, '--format') || 'text';
+  const json = format !== 'text';
+  const log = console.log;
+  if (json) {
+    console.log = () => {};
+  } else if (writesToStdout(command, args)) {
+    console.log = console.error;
+  }
 
   try {
+    if (!['text', 'json', 'sarif'].includes(format)) {
+      throw new Error(`Unknown format "${format}". Use text, json or sarif`);
+    }
+    if (format === 'sarif' && !['analyze', 'scan'].includes(command)) {
+      throw new Error('--format sarif is only available for analyze and scan');
+    }
+    if (json && writesToStdout(command, args)) {
+      throw new Error('--json writes the report to stdout: pass -o <file> for the data');
+    }
+
+    let report;
     switch (command) {
       case 'encode': {
         if (args.length < 2) {
           console.error('❌ Error: You must specify a file');
-          console.error('Usage: node invjsible.js encode <file> [--compress] [--runable] [-o output] [-v]');
+          console.error('Usage: node invjsible.js encode <file> [--compress] [--runable] [--scheme binary|base4|base8|base16|variation|tags [--carrier 😀]] [--key secret] [--ecc low|medium|high] [--shares N [--threshold K]] [--stream | --no-stream] [--checksum crc32|sha256] [--password pw | --password-file file | --recipient pub.pem ...] [--sign key.pem [--detached]] [-o output] [-v]');
           process.exit(1);
         }
 
         const inputFile = args[1];
-        if (!fs.existsSync(inputFile)) {
+        if (!inputExists(inputFile)) {
           console.error(`❌ Error: File "${inputFile}" does not exist`);
           process.exit(1);
         }
@@ -630,33 +5682,52 @@ async function main() {
         const compress = args.includes('--compress');
         const runable = args.includes('--runable');
         const verbose = args.includes('--verbose') || args.includes('-v');
+        const checksum = getArgValue(args, '--checksum') || 'crc32';
+        const scheme = getArgValue(args, '--scheme', '--alphabet') || 'binary';
+        const carrier = getArgValue(args, '--carrier');
+        const key = getArgValue(args, '--key');
+        const ecc = getArgValue(args, '--ecc');
+        const shares = getArgValue(args, '--shares');
+        const threshold = getArgValue(args, '--threshold');
+        const password = await getPassword(args);
+        const recipients = getArgValues(args, '--recipient').map(file => fs.readFileSync(file, 'utf8'));
+        const signFile = getArgValue(args, '--sign');
+        const sign = signFile ? fs.readFileSync(signFile, 'utf8') : null;
+        const detached = args.includes('--detached');
+        const stream = args.includes('--stream') ? true : (args.includes('--no-stream') ? false : null);
 
         let outputFile;
         const outputIndex = args.indexOf('--output') !== -1 ? args.indexOf('--output') : args.indexOf('-o');
         if (outputIndex !== -1 && args[outputIndex + 1]) {
           outputFile = args[outputIndex + 1];
         } else {
-          outputFile = inputFile + '.encoded';
+          outputFile = inputFile === STDIO ? STDIO : inputFile + '.encoded';
         }
 
-        await encode(inputFile, outputFile, { compress, verbose, runable });
+        report = await encode(inputFile, outputFile, {
+          compress, verbose, runable, checksum, password, recipients, sign, detached, scheme, carrier: carrier || null, key, ecc,
+          shares: shares === null ? null : Number(shares),
+          threshold: threshold === null ? undefined : Number(threshold),
+          stream
+        });
         break;
       }
 
       case 'decode': {
         if (args.length < 2) {
           console.error('❌ Error: You must specify a file');
-          console.error('Usage: node invjsible.js decode <file> [-o output] [-v]');
+          console.error('Usage: node invjsible.js decode <file> [<share> ...] [--password pw | --password-file file | --identity key.pem] [--key secret] [--pubkey pub.pem] [--on-bad-signature refuse|warn] [--no-verify] [--stream | --no-stream] [-o output] [-v]');
           process.exit(1);
         }
 
         const inputFile = args[1];
-        if (!fs.existsSync(inputFile)) {
+        if (!inputExists(inputFile)) {
           console.error(`❌ Error: File "${inputFile}" does not exist`);
           process.exit(1);
         }
 
         const verbose = args.includes('--verbose') || args.includes('-v');
+        const stream = args.includes('--stream') ? true : (args.includes('--no-stream') ? false : null);
 
         let outputFile = null;
         const outputIndex = args.indexOf('--output') !== -1 ? args.indexOf('--output') : args.indexOf('-o');
@@ -664,24 +5735,273 @@ async function main() {
           outputFile = args[outputIndex + 1];
         }
 
-        await decode(inputFile, outputFile, { verbose });
+        const verify = !args.includes('--no-verify');
+        const password = await getPassword(args);
+        const identityFile = getArgValue(args, '--identity');
+        const identity = identityFile ? fs.readFileSync(identityFile, 'utf8') : null;
+        const pubkeyFile = getArgValue(args, '--pubkey');
+        const pubkey = pubkeyFile ? fs.readFileSync(pubkeyFile, 'utf8') : null;
+        const badSignature = getArgValue(args, '--on-bad-signature') || 'refuse';
+        const key = getArgValue(args, '--key');
+
+        // Further files are the other shares of a --shares payload
+        const valueFlags = ['--output', '-o', '--password', '--password-file', '--identity', '--pubkey', '--on-bad-signature', '--key', '--format'];
+        const shares = args.slice(2).filter((arg, index) => !isFlag(arg) && !valueFlags.includes(args[index + 1]));
+        for (const file of shares) {
+          if (!inputExists(file)) {
+            console.error(`❌ Error: File "${file}" does not exist`);
+            process.exit(1);
+          }
+        }
+
+        report = await decode(inputFile, outputFile, { verbose, verify, password, identity, pubkey, badSignature, key, shares, stream });
+        break;
+      }
+
+      case 'verify': {
+        if (args.length < 2) {
+          console.error('❌ Error: You must specify a file');
+          console.error('Usage: node invjsible.js verify <file> [--pubkey pub.pem] [--signature file.sig] [--key secret]');
+          process.exit(1);
+        }
+
+        const inputFile = args[1];
+        if (!inputExists(inputFile)) {
+          console.error(`❌ Error: File "${inputFile}" does not exist`);
+          process.exit(1);
+        }
+
+        const pubkeyFile = getArgValue(args, '--pubkey');
+        const pubkey = pubkeyFile ? fs.readFileSync(pubkeyFile, 'utf8') : null;
+        const signatureFile = getArgValue(args, '--signature');
+        const key = getArgValue(args, '--key');
+
+        report = verify(inputFile, { pubkey, signatureFile, key });
+        if (!report.valid || report.trusted === false) {
+          process.exitCode = 1;
+        }
+        break;
+      }
+
+      case 'embed': {
+        const coverFile = getArgValue(args, '--cover');
+        if (args.length < 2 || isFlag(args[1]) || !coverFile) {
+          console.error('❌ Error: You must specify a payload file and a cover text');
+          console.error('Usage: node invjsible.js embed <payload> --cover <file> [--strategy spread|all|punctuation] [--scheme name] [--compress] [--key secret] [--checksum crc32|sha256] [--password pw | --password-file file | --recipient pub.pem ...] [--sign key.pem] [-o output] [-v]');
+          process.exit(1);
+        }
+
+        const payloadFile = args[1];
+        for (const file of [payloadFile, coverFile]) {
+          if (!inputExists(file)) {
+            console.error(`❌ Error: File "${file}" does not exist`);
+            process.exit(1);
+          }
+        }
+
+        const signFile = getArgValue(args, '--sign');
+
+        report = await embed(payloadFile, coverFile, getArgValue(args, '--output', '-o'), {
+          strategy: getArgValue(args, '--strategy') || 'spread',
+          compress: args.includes('--compress'),
+          verbose: args.includes('--verbose') || args.includes('-v'),
+          checksum: getArgValue(args, '--checksum') || 'crc32',
+          password: await getPassword(args),
+          recipients: getArgValues(args, '--recipient').map(file => fs.readFileSync(file, 'utf8')),
+          sign: signFile ? fs.readFileSync(signFile, 'utf8') : null,
+          scheme: getArgValue(args, '--scheme', '--alphabet') || 'binary',
+          key: getArgValue(args, '--key')
+        });
+        break;
+      }
+
+      case 'extract': {
+        if (args.length < 2) {
+          console.error('❌ Error: You must specify a file');
+          console.error('Usage: node invjsible.js extract <file> [--key secret] [--password pw | --password-file file | --identity key.pem] [--pubkey pub.pem] [--on-bad-signature refuse|warn] [--no-verify] [-o output] [-v]');
+          process.exit(1);
+        }
+
+        const inputFile = args[1];
+        if (!inputExists(inputFile)) {
+          console.error(`❌ Error: File "${inputFile}" does not exist`);
+          process.exit(1);
+        }
+
+        const identityFile = getArgValue(args, '--identity');
+        const pubkeyFile = getArgValue(args, '--pubkey');
+
+        report = await extract(inputFile, getArgValue(args, '--output', '-o'), {
+          verbose: args.includes('--verbose') || args.includes('-v'),
+          verify: !args.includes('--no-verify'),
+          password: await getPassword(args),
+          identity: identityFile ? fs.readFileSync(identityFile, 'utf8') : null,
+          pubkey: pubkeyFile ? fs.readFileSync(pubkeyFile, 'utf8') : null,
+          badSignature: getArgValue(args, '--on-bad-signature') || 'refuse',
+          key: getArgValue(args, '--key')
+        });
+        break;
+      }
+
+      case 'capacity': {
+        if (args.length < 2) {
+          console.error('❌ Error: You must specify a cover file');
+          console.error('Usage: node invjsible.js capacity <cover> [--payload file] [--max-ratio 1] [--checksum crc32|sha256]');
+          process.exit(1);
+        }
+
+        const coverFile = args[1];
+        const payload = getArgValue(args, '--payload');
+        for (const file of [coverFile, payload].filter(Boolean)) {
+          if (!inputExists(file)) {
+            console.error(`❌ Error: File "${file}" does not exist`);
+            process.exit(1);
+          }
+        }
+
+        const maxRatio = getArgValue(args, '--max-ratio');
+
+        report = await capacity(coverFile, {
+          payload,
+          maxRatio: maxRatio === null ? 1 : Number(maxRatio),
+          checksum: getArgValue(args, '--checksum') || 'crc32'
+        });
+        break;
+      }
+
+      case 'split': {
+        const parts = getArgValue(args, '--parts');
+        if (args.length < 2 || isFlag(args[1]) || parts === null) {
+          console.error('❌ Error: You must specify a file and the number of parts');
+          console.error('Usage: node invjsible.js split <file> --parts N [--compress] [--scheme name] [--key secret] [--ecc low|medium|high] [--checksum crc32|sha256] [-o base] [-v]');
+          process.exit(1);
+        }
+
+        const inputFile = args[1];
+        if (!inputExists(inputFile)) {
+          console.error(`❌ Error: File "${inputFile}" does not exist`);
+          process.exit(1);
+        }
+
+        report = await split(inputFile, {
+          parts: Number(parts),
+          outputBase: getArgValue(args, '--output', '-o'),
+          compress: args.includes('--compress'),
+          verbose: args.includes('--verbose') || args.includes('-v'),
+          checksum: getArgValue(args, '--checksum') || 'crc32',
+          scheme: getArgValue(args, '--scheme', '--alphabet') || 'binary',
+          key: getArgValue(args, '--key'),
+          ecc: getArgValue(args, '--ecc')
+        });
+        break;
+      }
+
+      case 'join': {
+        const valueFlags = ['--output', '-o', '--key', '--format'];
+        const fragmentFiles = args.slice(1).filter((arg, index) => !isFlag(arg) && !valueFlags.includes(args[index]));
+        if (fragmentFiles.length === 0) {
+          console.error('❌ Error: You must specify the fragment files');
+          console.error('Usage: node invjsible.js join <fragment> [<fragment> ...] [--key secret] [--no-verify] [-o output] [-v]');
+          process.exit(1);
+        }
+
+        for (const file of fragmentFiles) {
+          if (!inputExists(file)) {
+            console.error(`❌ Error: File "${file}" does not exist`);
+            process.exit(1);
+          }
+        }
+
+        report = await join(fragmentFiles, getArgValue(args, '--output', '-o'), {
+          verbose: args.includes('--verbose') || args.includes('-v'),
+          verify: !args.includes('--no-verify'),
+          key: getArgValue(args, '--key')
+        });
+        break;
+      }
+
+      case 'watermark': {
+        if (args.length < 2 || isFlag(args[1])) {
+          console.error('❌ Error: You must specify a document');
+          console.error('Usage: node invjsible.js watermark <doc> --id alice --key secret [--every 8] [--scheme name] [-o output]');
+          process.exit(1);
+        }
+
+        const docFile = args[1];
+        if (!inputExists(docFile)) {
+          console.error(`❌ Error: File "${docFile}" does not exist`);
+          process.exit(1);
+        }
+
+        const every = getArgValue(args, '--every');
+
+        report = watermark(docFile, getArgValue(args, '--output', '-o'), {
+          id: getArgValue(args, '--id'),
+          key: getArgValue(args, '--key'),
+          scheme: getArgValue(args, '--scheme', '--alphabet') || 'binary',
+          every: every === null ? 8 : Number(every)
+        });
+        break;
+      }
+
+      case 'trace': {
+        if (args.length < 2 || isFlag(args[1])) {
+          console.error('❌ Error: You must specify a file');
+          console.error('Usage: node invjsible.js trace <file> --key secret');
+          process.exit(1);
+        }
+
+        const inputFile = args[1];
+        if (!inputExists(inputFile)) {
+          console.error(`❌ Error: File "${inputFile}" does not exist`);
+          process.exit(1);
+        }
+
+        report = trace(inputFile, { key: getArgValue(args, '--key') });
+        if (report.ids.length === 0) {
+          process.exitCode = 1;
+        }
         break;
       }
 
       case 'analyze': {
         if (args.length < 2) {
           console.error('❌ Error: You must specify a file');
-          console.error('Usage: node invjsible.js analyze <file>');
+          console.error('Usage: node invjsible.js analyze <file> [--language code|prose] [--json | --format text|json|sarif]');
           process.exit(1);
         }
 
         const inputFile = args[1];
-        if (!fs.existsSync(inputFile)) {
+        if (!inputExists(inputFile)) {
           console.error(`❌ Error: File "${inputFile}" does not exist`);
           process.exit(1);
         }
 
-        analyze(inputFile);
+        report = analyze(inputFile, { sarif: format === 'sarif', language: getArgValue(args, '--language') });
+        // 0: clean, 2: invisible characters or high-severity confusables
+        // found (1 stays for errors)
+        if (report.hasInvisibles || report.confusables.some(isFailingConfusable)) {
+          process.exitCode = EXIT_FOUND;
+        }
+        break;
+      }
+
+      case 'scan': {
+        if (args.length < 2 || isFlag(args[1]) || args[1] === STDIO) {
+          console.error('❌ Error: You must specify a directory');
+          console.error('Usage: node invjsible.js scan <dir> [--ignore pattern ...] [--language code|prose] [--json | --format text|json|sarif]');
+          process.exit(1);
+        }
+
+        report = scan(args[1], {
+          ignore: getArgValues(args, '--ignore'),
+          sarif: format === 'sarif',
+          language: getArgValue(args, '--language')
+        });
+        // Same rule as analyze, for every file
+        if (report.findings.some(finding => finding.invisibleCount > 0 || finding.confusables.some(isFailingConfusable))) {
+          process.exitCode = EXIT_FOUND;
+        }
         break;
       }
 
@@ -693,7 +6013,7 @@ async function main() {
         }
 
         const inputFile = args[1];
-        if (!fs.existsSync(inputFile)) {
+        if (!inputExists(inputFile)) {
           console.error(`❌ Error: File "${inputFile}" does not exist`);
           process.exit(1);
         }
@@ -704,12 +6024,20 @@ async function main() {
           outputFile = args[outputIndex + 1];
         }
 
-        clean(inputFile, outputFile);
+        report = clean(inputFile, outputFile);
+        break;
+      }
+
+      case 'keygen': {
+        const outputBase = getArgValue(args, '--output', '-o') || 'invjsible';
+        const type = getArgValue(args, '--type') || 'x25519';
+
+        report = keygen(outputBase, { type });
         break;
       }
 
       case 'list': {
-        list();
+        report = list();
         break;
       }
 
@@ -719,12 +6047,21 @@ async function main() {
         process.exit(1);
       }
     }
+
+    if (json) {
+      log(JSON.stringify(format === 'sarif' ? report.sarif : report, null, 2));
+    }
   } catch (error) {
+    if (json) {
+      log(JSON.stringify({ error: error.message }, null, 2));
+    }
     console.error('\n❌ Error:', error.message);
     if (args.includes('--verbose') || args.includes('-v')) {
       console.error(error.stack);
     }
     process.exit(1);
+  } finally {
+    console.log = log;
   }
 }
 
@@ -737,12 +6074,31 @@ if (require.main === module) {
 module.exports = {
   encode,
   decode,
+  verify,
+  embed,
+  extract,
+  capacity,
+  split,
+  join,
+  watermark,
+  trace,
   analyze,
+  scan,
+  sarifLog,
   clean,
+  keygen,
   list, // jest only
   showHelp, // jest only
   main, // jest only
   encodeToInvisible,
   decodeFromInvisible,
+  encodeContainer,
+  decodeContainer,
+  encodeStream,
+  decodeStream,
+  encodeBuffer,
+  decodeString,
+  registerScheme,
+  getScheme,
   invisibleChars
 };